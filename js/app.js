@@ -4,13 +4,19 @@
  */
 
 import { User } from './models/User.js';
+import { XPLedger } from './models/XPLedger.js';
+import { DateKey } from './models/DateKey.js';
+import { Routine, ItemLockedError, ItemRequiredError } from './models/Routine.js';
 import { StorageManager } from './managers/StorageManager.js';
 import { ThemeManager } from './managers/ThemeManager.js';
 import { RoutineManager } from './managers/RoutineManager.js';
 import { AchievementManager } from './managers/AchievementManager.js';
+import { PlayModeManager } from './managers/PlayModeManager.js';
 import { UIRenderer } from './ui/UIRenderer.js';
 import { ModalManager } from './ui/ModalManager.js';
 import { AnimationManager } from './ui/AnimationManager.js';
+import { RoutineEditor } from './ui/RoutineEditor.js';
+import { escapeHtml } from './ui/html.js';
 import { firebaseConfig } from './config/firebase-config.js';
 
 class App {
@@ -19,10 +25,12 @@ class App {
     this.storageManager = new StorageManager();
     this.themeManager = new ThemeManager();
     this.routineManager = new RoutineManager(this.storageManager);
-    this.achievementManager = new AchievementManager();
+    this.achievementManager = new AchievementManager(this.routineManager);
+    this.playModeManager = new PlayModeManager(this.routineManager);
     this.uiRenderer = new UIRenderer();
     this.modalManager = new ModalManager();
     this.animationManager = new AnimationManager();
+    this.routineEditor = new RoutineEditor(this.modalManager);
 
     this.routines = [];
     this.autosaveInterval = null;
@@ -47,6 +55,9 @@ class App {
       // Load routines
       await this.loadRoutines();
 
+      // Catch up on achievements added or fixed since the last visit
+      this.recalculateAchievements();
+
       // Render initial UI
       this.renderUI();
 
@@ -81,12 +92,34 @@ class App {
   async loadUser() {
     const savedData = await this.storageManager.load();
 
+    const ledgerData = await this.storageManager.loadLedger();
+
     if (savedData) {
       this.user = User.fromJSON(savedData);
+      this.user.setLedger(XPLedger.fromJSON(ledgerData));
+      this.achievementManager.setSkillTypes(Object.keys(this.user.skills));
+      this.achievementManager.loadCustomAchievements(this.user.customAchievements);
       this.achievementManager.restoreUnlocked(this.user.stats.achievements);
+      this.applyDaySettings();
       console.log('User loaded from storage');
+
+      // Apply XP formula changes to everything earned so far
+      const rebalanced = this.user.applyFormulaVersion();
+      if (rebalanced) {
+        console.log('XP rebalanced for the current formula', rebalanced);
+      }
+
+      // Catch up on decay for the days the app wasn't opened, and grant this month's streak freezes
+      const decayed = this.user.applySkillDecay();
+      const refilled = this.user.refillStreakFreezes();
+      if (rebalanced || decayed.length > 0 || refilled) {
+        await this.saveUser();
+      }
     } else {
       this.user = new User('Hunter');
+      this.user.setLedger(XPLedger.fromJSON(ledgerData));
+      this.applyDaySettings();
+      this.user.refillStreakFreezes();
       await this.saveUser();
       console.log('New user created');
     }
@@ -97,13 +130,17 @@ class App {
    */
   async loadRoutines() {
     try {
-      const routinePaths = [
-        'routines/morning.json',
-        'routines/evening.json'
-      ];
+      this.routineManager.setSkillTypes(Object.keys(this.user.skills));
+      this.routineManager.setActiveModes(this.user.settings.activeModes);
+      await this.routineManager.loadFromManifest('routines/index.json');
+      await this.routineManager.loadCustomRoutines();
 
-      this.routines = await this.routineManager.loadRoutines(routinePaths);
+      this.routines = this.routineManager.getAllRoutines();
       console.log(`Loaded ${this.routines.length} routines`);
+
+      for (const loadError of this.routineManager.getLoadErrors()) {
+        console.warn(`Routine ${loadError.path} could not be loaded: ${loadError.message}`);
+      }
     } catch (error) {
       console.error('Failed to load routines:', error);
       throw error;
@@ -138,6 +175,14 @@ class App {
       });
     }
 
+    // Routine editor button
+    const editorButton = document.getElementById('routine-editor-button');
+    if (editorButton) {
+      editorButton.addEventListener('click', () => {
+        this.openRoutineEditor();
+      });
+    }
+
     // Achievements button
     const achievementsButton = document.getElementById('achievements-button');
     if (achievementsButton) {
@@ -145,6 +190,14 @@ class App {
         this.showAchievements();
       });
     }
+
+    // Day settings button
+    const daySettingsButton = document.getElementById('day-settings-button');
+    if (daySettingsButton) {
+      daySettingsButton.addEventListener('click', () => {
+        this.showDaySettings();
+      });
+    }
   }
 
   /**
@@ -153,57 +206,204 @@ class App {
   toggleItem(routineId, itemId, checkbox) {
     try {
       if (checkbox.checked) {
-        // Complete item
-        const result = this.routineManager.completeItem(routineId, itemId, this.user);
-
-        // Show XP gain animations
-        if (result.xpResults && result.xpResults.length > 0) {
-          for (const xpResult of result.xpResults) {
-            if (xpResult.xpGained > 0) {
-              this.animationManager.showXPGain(xpResult.xpGained, xpResult.skill, checkbox);
-
-              // Check for level up
-              if (xpResult.leveledUp) {
-                const skill = this.user.skills[xpResult.skill];
-                this.animationManager.showLevelUp(skill.name, xpResult.newLevel, this.modalManager);
-              }
-
-              // Update skill bar
-              this.uiRenderer.updateSkillBar(xpResult.skill, this.user.skills[xpResult.skill], this.animationManager);
-            }
-          }
+        this.completeItem(routineId, itemId, checkbox);
+      } else {
+        // Uncomplete item, taking back what it granted
+        const result = this.routineManager.uncompleteItem(routineId, itemId, this.user);
+        if (result) {
+          this.afterItemProgress(routineId, result, checkbox);
         }
+      }
 
-        // Update progress
-        const progress = this.routineManager.getProgress(routineId);
-        this.uiRenderer.updateRoutineProgress(routineId, progress);
+      // Save data
+      this.saveUser();
 
-        // Check if routine completed
-        if (result.isRoutineComplete) {
-          this.onRoutineComplete(routineId);
-        }
+    } catch (error) {
+      checkbox.checked = !checkbox.checked; // Revert checkbox
+      if (error instanceof ItemLockedError || error instanceof ItemRequiredError) {
+        this.showItemLocked(error, checkbox);
+      } else {
+        console.error('Error toggling item:', error);
+      }
+    }
+  }
 
-        // Check achievements
-        this.checkAchievements();
+  /**
+   * Complete an item, award XP and update the UI
+   * @param {HTMLElement} anchorElement - Element the XP animation starts from
+   * @param {object} options - Passed to RoutineManager.completeItem()
+   */
+  completeItem(routineId, itemId, anchorElement, options = {}) {
+    const result = this.routineManager.completeItem(routineId, itemId, this.user, options);
+    if (!result) return null;
 
+    this.afterItemProgress(routineId, result, anchorElement);
+    return result;
+  }
+
+  /**
+   * Log an amount for a quantitative item from its number input
+   */
+  logItemAmount(routineId, itemId, value, inputElement) {
+    try {
+      const amount = Number(value);
+      if (!Number.isFinite(amount)) return;
+
+      const result = this.routineManager.logItemAmount(routineId, itemId, amount, this.user);
+      if (!result) return;
+
+      this.afterItemProgress(routineId, result, inputElement);
+      this.saveUser();
+    } catch (error) {
+      if (error instanceof ItemLockedError || error instanceof ItemRequiredError) {
+        this.showItemLocked(error, inputElement);
+        inputElement.value = this.routineManager.getSession(routineId).getItemAmount(itemId);
       } else {
-        // Uncomplete item
-        this.routineManager.uncompleteItem(routineId, itemId);
+        console.error('Error logging item amount:', error);
+      }
+    }
+  }
+
+  /**
+   * Point out why an item can't be completed (or unchecked) yet
+   */
+  showItemLocked(error, element) {
+    console.warn(error.message);
+    const itemElement = element.closest('.routine-item');
+    if (itemElement) {
+      this.animationManager.shakeElement(itemElement);
+    }
+  }
 
-        // Update progress
-        const progress = this.routineManager.getProgress(routineId);
-        this.uiRenderer.updateRoutineProgress(routineId, progress);
+  /**
+   * Step a quantitative item's amount up or down
+   */
+  stepItemAmount(routineId, itemId, delta, buttonElement) {
+    const session = this.routineManager.getSession(routineId);
+    const amount = session.getItemAmount(itemId) + delta;
+    this.logItemAmount(routineId, itemId, Math.max(0, amount), buttonElement);
+  }
+
+  /**
+   * Show XP animations, progress and completion after an item changed
+   */
+  afterItemProgress(routineId, result, anchorElement) {
+    this.showXPResults(result.xpResults, anchorElement);
+    this.showRevokedXP(result.revokedResults);
+
+    const routine = this.routineManager.getEffectiveRoutine(routineId);
+
+    // Quantitative items show their logged amount, so redraw the row
+    if (Routine.isQuantitative(result.item)) {
+      this.uiRenderer.updateRoutineItem(routine, result.item, result.session);
+    }
+
+    // Items waiting for this one may have unlocked
+    this.uiRenderer.updateItemLocks(routine, result.session);
+
+    // Update progress
+    const progress = this.routineManager.getProgress(routineId);
+    this.uiRenderer.updateRoutineProgress(routineId, progress);
+
+    // Check if routine completed, or fell below complete again
+    if (result.routineCompleted) {
+      this.showXPResults(result.completionResults, anchorElement);
+      this.onRoutineComplete(routineId);
+    } else if (result.routineReopened) {
+      this.renderUI();
+    }
+
+    // Check achievements
+    this.checkAchievements();
+  }
+
+  /**
+   * Animate XP gains and level ups
+   * @param {HTMLElement} anchorElement - Element the XP animation starts from
+   */
+  showXPResults(xpResults, anchorElement) {
+    for (const xpResult of xpResults || []) {
+      if (xpResult.xpGained > 0) {
+        this.animationManager.showXPGain(xpResult.xpGained, xpResult.skill, anchorElement);
+
+        // Check for level up
+        if (xpResult.leveledUp) {
+          const skill = this.user.skills[xpResult.skill];
+          this.animationManager.showLevelUp(skill.name, xpResult.newLevel, this.modalManager);
+        }
+
+        // Update skill bar
+        this.uiRenderer.updateSkillBar(xpResult.skill, this.user.skills[xpResult.skill], this.animationManager);
       }
+    }
+  }
 
-      // Save data
-      this.saveUser();
+  /**
+   * Update skill bars after XP was taken back
+   */
+  showRevokedXP(revokedResults) {
+    for (const revoked of revokedResults || []) {
+      this.uiRenderer.updateSkillBar(revoked.skill, this.user.skills[revoked.skill], this.animationManager);
+    }
+  }
 
+  /**
+   * Switch a routine mode (e.g. travel) on or off and show the matching variants
+   */
+  toggleMode(mode) {
+    this.user.toggleMode(mode);
+    this.routineManager.setActiveModes(this.user.settings.activeModes);
+    this.saveUser();
+    this.renderUI();
+  }
+
+  /**
+   * Start guided play mode for a routine
+   */
+  startPlayMode(routineId) {
+    try {
+      this.playModeManager.start(routineId, {
+        onStep: (state) => this.uiRenderer.renderPlayMode(state),
+        onTick: (state) => this.uiRenderer.updatePlayModeTimer(state),
+        onItemComplete: (id, itemId, state) => this.completePlayModeItem(id, itemId, state.stepStartedAt),
+        onFinish: (state) => this.uiRenderer.renderPlayMode(state)
+      });
     } catch (error) {
-      console.error('Error toggling item:', error);
-      checkbox.checked = !checkbox.checked; // Revert checkbox
+      console.error('Failed to start play mode:', error);
     }
   }
 
+  /**
+   * Award an item finished in play mode
+   * @returns {boolean} - False if the item wasn't recorded (play mode skips it)
+   */
+  completePlayModeItem(routineId, itemId, startedAt) {
+    try {
+      const anchor = document.getElementById('play-mode-timer') || document.body;
+      if (!this.completeItem(routineId, itemId, anchor, { startedAt })) return false;
+
+      this.uiRenderer.markItemCompleted(routineId, itemId);
+      this.saveUser();
+      return true;
+    } catch (error) {
+      if (error instanceof ItemLockedError) {
+        console.warn(`Play mode: ${error.message}`);
+      } else {
+        console.error('Error completing item in play mode:', error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Leave play mode
+   */
+  stopPlayMode() {
+    this.playModeManager.stop();
+    this.uiRenderer.hidePlayMode();
+    this.renderUI();
+  }
+
   /**
    * Handle routine completion
    */
@@ -221,8 +421,20 @@ class App {
   checkAchievements() {
     const newAchievements = this.achievementManager.checkAchievements(this.user);
 
-    for (const achievement of newAchievements) {
-      this.animationManager.showAchievementUnlock(achievement, this.modalManager);
+    // Several at once are listed together rather than replacing each other
+    if (newAchievements.length === 1) {
+      this.animationManager.showAchievementUnlock(newAchievements[0], this.modalManager);
+    } else if (newAchievements.length > 1) {
+      this.modalManager.showAchievementDigest(
+        newAchievements.map(achievement => ({
+          achievement,
+          unlockedAt: achievement.unlockedAt,
+          context: achievement.unlockContext,
+          backdated: false
+        })),
+        this.user,
+        this.routines
+      );
     }
 
     if (newAchievements.length > 0) {
@@ -230,6 +442,22 @@ class App {
     }
   }
 
+  /**
+   * Evaluate achievements against the full history when their definitions
+   * or the XP formulas changed, backdating what was already earned, and list
+   * the unlocks in one digest
+   */
+  recalculateAchievements() {
+    if (!this.achievementManager.needsRecalculation(this.user)) return;
+
+    const unlocked = this.achievementManager.recalculate(this.user);
+    this.saveUser();
+
+    if (unlocked.length > 0) {
+      this.modalManager.showAchievementDigest(unlocked, this.user, this.routines);
+    }
+  }
+
   /**
    * Show skill details modal
    */
@@ -240,45 +468,371 @@ class App {
     }
   }
 
+  /**
+   * Show the skill manager
+   */
+  showSkillManager(error = null) {
+    this.modalManager.showSkillManager(this.user, error);
+  }
+
+  /**
+   * Add a custom skill from the skill manager form
+   */
+  addCustomSkill() {
+    try {
+      this.user.addCustomSkill({
+        name: document.getElementById('new-skill-name').value,
+        icon: document.getElementById('new-skill-icon').value.trim(),
+        color: document.getElementById('new-skill-color').value
+      });
+      this.afterSkillsChanged();
+    } catch (error) {
+      this.showSkillManager(error.message);
+    }
+  }
+
+  /**
+   * Archive a skill
+   */
+  archiveSkill(skillType) {
+    this.user.archiveSkill(skillType);
+    this.afterSkillsChanged();
+  }
+
+  /**
+   * Restore an archived skill
+   */
+  restoreSkill(skillType) {
+    this.user.restoreSkill(skillType);
+    this.afterSkillsChanged();
+  }
+
+  /**
+   * Show streak freezes and planned rest days
+   */
+  showStreakPlanner(error = null) {
+    this.modalManager.showStreakPlanner(this.user, error);
+  }
+
+  /**
+   * Plan a rest day from the streak planner form
+   */
+  addRestDay() {
+    try {
+      this.user.addRestDay(document.getElementById('new-rest-day').value);
+      this.afterStreakSettingsChanged();
+    } catch (error) {
+      this.showStreakPlanner(error.message);
+    }
+  }
+
+  /**
+   * Cancel a planned rest day
+   */
+  removeRestDay(dateKey) {
+    this.user.removeRestDay(dateKey);
+    this.afterStreakSettingsChanged();
+  }
+
+  /**
+   * Set the monthly streak freeze allowance
+   */
+  setFreezesPerMonth(value) {
+    this.user.settings.freezesPerMonth = Math.max(0, Math.min(User.STREAK_FREEZES.max, Math.round(Number(value) || 0)));
+    this.afterStreakSettingsChanged();
+  }
+
+  /**
+   * Choose which streak the streak bonus or streak achievements use
+   */
+  setStreakSource(setting, source) {
+    try {
+      this.user.setStreakSource(setting, source);
+      this.afterStreakSettingsChanged();
+    } catch (error) {
+      this.showStreakPlanner(error.message);
+    }
+  }
+
+  /**
+   * Count days with the user's rollover hour and home time zone
+   */
+  applyDaySettings() {
+    try {
+      DateKey.configure(this.user.settings);
+    } catch (error) {
+      console.error('Invalid day settings, using device time:', error);
+    }
+    this.currentDay = DateKey.today();
+  }
+
+  /**
+   * Show day rollover and home time zone settings
+   */
+  showDaySettings(error = null) {
+    this.modalManager.showDaySettings(this.user, error);
+  }
+
+  /**
+   * Save the day settings form
+   */
+  saveDaySettings() {
+    try {
+      this.user.setDaySettings({
+        dayStartHour: Number(document.getElementById('day-start-hour').value),
+        timeZone: document.getElementById('home-time-zone').value.trim() || null
+      });
+      this.applyDaySettings();
+      this.saveUser();
+      this.renderUI();
+      this.showDaySettings();
+    } catch (error) {
+      this.showDaySettings(error.message);
+    }
+  }
+
+  /**
+   * Save and refresh after streak settings changed
+   */
+  afterStreakSettingsChanged() {
+    this.saveUser();
+    this.renderUI();
+    this.showStreakPlanner();
+  }
+
+  /**
+   * Turn skill decay on or off
+   */
+  toggleSkillDecay() {
+    this.user.toggleSkillDecay();
+    this.afterSkillsChanged();
+  }
+
+  /**
+   * Set a skill's decay grace period from the skill manager
+   */
+  setSkillDecayDays(skillType, value) {
+    this.user.setSkillDecayDays(skillType, Number(value) || 0);
+    this.afterSkillsChanged();
+  }
+
+  /**
+   * Let routines reward the current skill set and refresh the UI
+   */
+  afterSkillsChanged() {
+    this.routineManager.setSkillTypes(Object.keys(this.user.skills));
+    this.achievementManager.setSkillTypes(Object.keys(this.user.skills));
+    this.saveUser();
+    this.renderUI();
+    this.showSkillManager();
+  }
+
+  /**
+   * Rebuild levels, streaks and counters from the XP ledger, for totals
+   * that no longer match the recorded history
+   */
+  repairProgress() {
+    this.modalManager.showConfirm(
+      'Rebuild Progress',
+      'Recompute your levels, streaks and totals from your recorded history? Anything not in the history is replaced.',
+      () => {
+        this.user.rebuildFromLedger();
+        this.saveUser();
+        this.renderUI();
+      }
+    );
+  }
+
   /**
    * Prestige a skill
    */
   prestigeSkill(skillType) {
     const skill = this.user.skills[skillType];
 
-    if (skill.level < 100) {
-      alert('Must be level 100 to prestige!');
+    if (!skill.isMaxLevel()) {
+      alert(`Must be level ${skill.getMaxLevel()} to prestige!`);
       return;
     }
 
     this.modalManager.showConfirm(
       'Prestige Skill',
-      `Are you sure you want to prestige ${skill.name}? You will reset to level 1 but gain +5% permanent XP bonus.`,
+      `Are you sure you want to prestige ${skill.name}? You will reset to level 1 but earn a perk point to spend in its perk tree.`,
       () => {
-        const result = skill.prestige();
+        const result = this.user.prestigeSkill(skillType);
         this.animationManager.showConfetti();
         this.renderUI();
         this.saveUser();
 
         setTimeout(() => {
-          alert(`Congratulations! ${skill.name} prestiged to level ${result.prestigeLevel}!\nNew XP multiplier: ${(result.multiplier * 100).toFixed(0)}%`);
+          alert(`Congratulations! ${skill.name} prestiged to level ${result.prestigeLevel}!\nYou have ${result.perkPoints} perk point${result.perkPoints === 1 ? '' : 's'} to spend.`);
+          this.showSkillDetails(skillType);
         }, 500);
       }
     );
   }
 
+  /**
+   * Spend a skill's perk point from the skill details modal
+   */
+  unlockPerk(skillType, perkId) {
+    const skill = this.user.skills[skillType];
+    try {
+      this.user.unlockPerk(skillType, perkId);
+      this.saveUser();
+      this.renderUI();
+      this.modalManager.showSkillDetails(skill);
+    } catch (error) {
+      this.modalManager.showSkillDetails(skill, error.message);
+    }
+  }
+
+  /**
+   * Open the routine editor
+   */
+  openRoutineEditor() {
+    this.routineEditor.open(this.routineManager, this.user.skills);
+  }
+
+  /**
+   * Save the routine currently open in the editor
+   */
+  async saveEditedRoutine() {
+    const errors = this.routineEditor.validateDraft();
+    if (errors.length > 0) {
+      this.routineEditor.showErrors(errors);
+      return;
+    }
+
+    const draft = this.routineEditor.getDraft();
+    if (!draft.id) {
+      draft.id = this.routineManager.generateRoutineId(draft.name);
+    }
+
+    try {
+      await this.routineManager.saveCustomRoutine(draft);
+      this.refreshRoutines();
+      this.routineEditor.showList();
+    } catch (error) {
+      console.error('Failed to save routine:', error);
+      this.routineEditor.showErrors(['Failed to save routine']);
+    }
+  }
+
+  /**
+   * Duplicate a routine as a new custom routine
+   */
+  async duplicateRoutine(routineId) {
+    try {
+      await this.routineManager.duplicateRoutine(routineId);
+      this.refreshRoutines();
+      this.routineEditor.showList();
+    } catch (error) {
+      console.error('Failed to duplicate routine:', error);
+    }
+  }
+
+  /**
+   * Delete a custom routine (or revert a modified bundled routine)
+   */
+  async deleteRoutine(routineId) {
+    try {
+      await this.routineManager.deleteCustomRoutine(routineId);
+      this.refreshRoutines();
+      this.routineEditor.cancelDelete();
+    } catch (error) {
+      console.error('Failed to delete routine:', error);
+    }
+  }
+
+  /**
+   * Pick up routine changes from the manager and re-render
+   */
+  refreshRoutines() {
+    this.routines = this.routineManager.getAllRoutines();
+    this.renderUI();
+    this.saveUser();
+  }
+
+  /**
+   * Show planned-vs-actual timing for today's session of a routine
+   */
+  showTimingBreakdown(routineId) {
+    const routine = this.routineManager.getRoutine(routineId);
+    const breakdown = this.routineManager.getTimingBreakdown(routineId);
+    this.modalManager.showTimingBreakdown(routine, breakdown);
+  }
+
   /**
    * Show stats modal
    */
   showStats() {
-    this.modalManager.showStats(this.user, this.achievementManager);
+    this.modalManager.showStats(this.user, this.achievementManager, this.routines);
   }
 
   /**
    * Show achievements modal
    */
-  showAchievements() {
-    this.modalManager.showAchievements(this.achievementManager);
+  showAchievements(error = null) {
+    this.modalManager.showAchievements(this.achievementManager, this.user, this.routines, error);
+  }
+
+  /**
+   * Create an achievement from the achievements modal form
+   */
+  createCustomAchievement() {
+    const field = id => document.getElementById(id).value.trim();
+
+    try {
+      const metric = field('achievement-metric');
+      const scope = Object.hasOwn(AchievementManager.METRICS, metric) ? AchievementManager.METRICS[metric].scope : null;
+      let condition = { metric, op: field('achievement-op'), value: Number(field('achievement-value')) };
+
+      if (field('achievement-value') === '') {
+        throw new Error('Enter a value to reach');
+      }
+      if (scope === 'skill') {
+        condition.skills = field('achievement-skills');
+      }
+      const scoped = scope === 'history' || scope === 'sessions';
+      if (scoped && field('achievement-routine') && !AchievementManager.METRICS[metric].allRoutines) {
+        condition.routineId = field('achievement-routine');
+      }
+      if (scoped && field('achievement-window')) {
+        condition.window = { days: Math.round(Number(field('achievement-window'))) };
+      }
+      if (field('achievement-condition')) {
+        try {
+          condition = JSON.parse(field('achievement-condition'));
+        } catch (error) {
+          throw new Error(`The JSON condition can't be read: ${error.message}`);
+        }
+      }
+
+      const definition = this.achievementManager.addCustomAchievement({
+        name: field('achievement-name'),
+        icon: field('achievement-icon'),
+        description: field('achievement-description'),
+        condition,
+        secret: document.getElementById('achievement-secret').checked
+      });
+      this.user.addCustomAchievement(definition);
+      this.saveUser();
+      this.showAchievements();
+      // Already earned achievements unlock right away, dated from the history
+      this.recalculateAchievements();
+    } catch (error) {
+      this.showAchievements(error.message);
+    }
+  }
+
+  /**
+   * Delete a custom achievement
+   */
+  deleteCustomAchievement(achievementId) {
+    this.achievementManager.removeCustomAchievement(achievementId);
+    this.user.removeCustomAchievement(achievementId);
+    this.saveUser();
+    this.showAchievements();
   }
 
   /**
@@ -308,6 +862,14 @@ class App {
     }
 
     this.autosaveInterval = setInterval(() => {
+      // When the app stays open past the day rollover, switch to the new day's sessions
+      if (DateKey.today() !== this.currentDay) {
+        this.currentDay = DateKey.today();
+        this.user.applySkillDecay();
+        this.renderUI();
+      } else if (this.user.applySkillDecay().length > 0) {
+        this.uiRenderer.renderProfile(this.user);
+      }
       this.saveUser();
       console.log('Autosaved');
     }, intervalMs);
@@ -342,6 +904,18 @@ class App {
     reader.onload = (e) => {
       try {
         const data = JSON.parse(e.target.result);
+
+        // Reject backups containing routines that don't match the schema
+        const routineErrors = (data.customRoutines || []).flatMap(routine =>
+          this.routineManager.validate(routine).errors.map(error =>
+            `${routine.name || routine.id}: ${error.path} ${error.message}`
+          )
+        );
+        if (routineErrors.length > 0) {
+          this.showError(`Backup contains invalid routines:<br>${routineErrors.map(escapeHtml).join('<br>')}`);
+          return;
+        }
+
         this.storageManager.importData(data);
         location.reload();
       } catch (error) {
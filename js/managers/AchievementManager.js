@@ -4,27 +4,524 @@
  */
 
 import { Achievement, ACHIEVEMENTS } from '../models/Achievement.js';
+import { DateKey } from '../models/DateKey.js';
+import { SessionHistory } from '../models/SessionHistory.js';
+import { User } from '../models/User.js';
 
 export class AchievementManager {
-  constructor() {
+  /**
+   * @param {RoutineManager} routineManager - Source of the session history
+   *   session metrics are read from (without one they read 0)
+   */
+  constructor(routineManager = null) {
+    this.routineManager = routineManager;
     this.achievements = new Map();
+    this.evaluators = new Map(); // achievementId -> (user, history) => boolean
+    this.progressReaders = new Map(); // achievementId -> (user, history) => progress (see getProgress)
+    this.ledgerTotals = new WeakMap(); // ledger events -> Map of history metric totals (see getLedgerTotals)
+
+    // Skill types conditions may name (null = built-in skills)
+    this.skillTypes = null;
+
     this.initializeAchievements();
   }
 
+  /**
+   * Set which skill types conditions may name
+   */
+  setSkillTypes(skillTypes) {
+    this.skillTypes = skillTypes;
+  }
+
+  /**
+   * Metrics conditions can compare:
+   *   user:    read from the user's totals
+   *   skill:   read per skill, with `skills: 'any' | 'all' | skillType`
+   *   history: counted from the XP ledger, optionally for one `routineId` and
+   *            within a `window` ({ days } ending today, or { from, to } keys).
+   *            Only history since the ledger started is counted.
+   *   sessions: read from the stored routine sessions (see SessionHistory), with
+   *            the same `routineId` and `window` options (except where `allRoutines`)
+   */
+  static METRICS = {
+    routinesCompleted: { scope: 'user', label: 'Routines completed', read: user => user.stats.totalRoutinesCompleted },
+    tasksCompleted: { scope: 'user', label: 'Tasks completed', read: user => user.stats.totalTasksCompleted },
+    xpEarned: { scope: 'user', label: 'Total XP earned', read: user => user.stats.totalXPEarned },
+    streak: { scope: 'user', label: 'Streak days', read: user => user.getAchievementStreak() },
+    perfectStreak: { scope: 'user', label: 'Perfect day streak', read: user => user.perfectStreak.current },
+    totalLevel: { scope: 'user', label: 'Total level', read: user => user.getTotalLevel() },
+    level: { scope: 'skill', label: 'Skill level', read: skill => skill.level },
+    prestige: { scope: 'skill', label: 'Skill prestige', read: skill => skill.prestige },
+    skillXP: { scope: 'skill', label: 'Skill total XP', read: skill => skill.totalXP },
+    routineCompletions: {
+      scope: 'history',
+      label: 'Routine completions',
+      events: { routine_completed: 1, routine_uncompleted: -1 }
+    },
+    taskCompletions: {
+      scope: 'history',
+      label: 'Task completions',
+      events: { task_completed: 1, task_uncompleted: -1 }
+    },
+    xpGained: {
+      scope: 'history',
+      label: 'XP gained',
+      events: { xp_granted: event => event.xpGained, xp_revoked: event => -event.xpRemoved }
+    },
+    onTimeRun: {
+      scope: 'sessions',
+      label: 'Days in a row started on time',
+      read: (history, query) => history.getOnTimeRun(query)
+    },
+    perfectDayRun: {
+      scope: 'sessions',
+      label: 'Perfect days in a row',
+      allRoutines: true,
+      read: (history, query) => history.getPerfectDayRun(query)
+    },
+    underTimeCompletions: {
+      scope: 'sessions',
+      label: 'Routines finished under time',
+      read: (history, query) => history.countUnderTime(query)
+    },
+    allSkillDays: {
+      scope: 'sessions',
+      label: 'Days every skill was trained',
+      read: (history, query, user) => history.countAllSkillDays(user.getActiveSkills().map(skill => skill.type), query)
+    }
+  };
+
+  /**
+   * Bump when a fix changes how XP or metrics are computed, so every user's
+   * achievements are evaluated again on their next load (see recalculate())
+   */
+  static FORMULA_VERSION = 1;
+
+  /**
+   * Comparison operators (`op`, default '>=')
+   */
+  static OPERATORS = {
+    '>=': (a, b) => a >= b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '<': (a, b) => a < b,
+    '==': (a, b) => a === b
+  };
+
   /**
    * Initialize all achievements
    */
   initializeAchievements() {
-    for (const data of ACHIEVEMENTS) {
-      const achievement = new Achievement(
-        data.id,
-        data.name,
-        data.description,
-        data.icon,
-        data.condition
-      );
-      this.achievements.set(data.id, achievement);
+    for (const definition of ACHIEVEMENTS) {
+      this.register(definition);
+    }
+  }
+
+  /**
+   * Compile a definition's condition and add the achievement
+   * @throws {Error} - If the condition is invalid
+   */
+  register(definition) {
+    const evaluator = this.compileCondition(definition.condition);
+    const achievement = new Achievement(definition);
+    this.achievements.set(achievement.id, achievement);
+    this.evaluators.set(achievement.id, evaluator);
+    this.progressReaders.set(achievement.id, this.buildProgress(definition.condition));
+    return achievement;
+  }
+
+  /**
+   * Find problems in a condition
+   * Conditions are one of:
+   *   { metric, op, value }                 compare a user or history metric
+   *   { metric, op, value, routineId, window } history or session metric, scoped
+   *   { skills, metric, op, value }         skill metric for 'any', 'all' or one skill type
+   *   { all: [conditions] } / { any: [conditions] } / { not: condition }
+   * @param {object} options - { skills }: skill types a condition may name (default: built-in skills)
+   * @returns {array} - Error messages (empty if valid)
+   */
+  static validateCondition(condition, options = {}, path = 'condition') {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      return [`${path} must be an object`];
+    }
+
+    for (const key of ['all', 'any']) {
+      if (key in condition) {
+        if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+          return [`${path}.${key} must be a non-empty list of conditions`];
+        }
+        return condition[key].flatMap((child, index) => AchievementManager.validateCondition(child, options, `${path}.${key}[${index}]`));
+      }
+    }
+    if ('not' in condition) {
+      return AchievementManager.validateCondition(condition.not, options, `${path}.not`);
+    }
+
+    const errors = [];
+    if (!Object.hasOwn(AchievementManager.METRICS, condition.metric)) {
+      return [`${path}.metric must be one of: ${Object.keys(AchievementManager.METRICS).join(', ')}`];
+    }
+    const metric = AchievementManager.METRICS[condition.metric];
+    if (!Object.hasOwn(AchievementManager.OPERATORS, condition.op ?? '>=')) {
+      errors.push(`${path}.op must be one of: ${Object.keys(AchievementManager.OPERATORS).join(' ')}`);
+    }
+    if (typeof condition.value !== 'number' || !Number.isFinite(condition.value)) {
+      errors.push(`${path}.value must be a number`);
+    }
+    const skillTypes = options.skills || Object.keys(User.DEFAULT_SKILLS);
+    if (metric.scope === 'skill' && !['any', 'all', ...skillTypes].includes(condition.skills)) {
+      errors.push(`${path}.skills is required for ${condition.metric} ('any', 'all' or one of: ${skillTypes.join(', ')})`);
+    }
+    if (metric.scope !== 'skill' && 'skills' in condition) {
+      errors.push(`${path}.skills only applies to skill metrics`);
+    }
+    const scoped = metric.scope === 'history' || metric.scope === 'sessions';
+    if (!scoped && ('routineId' in condition || 'window' in condition)) {
+      errors.push(`${path}: routineId and window only apply to history and session metrics`);
+    }
+    if (metric.allRoutines && 'routineId' in condition) {
+      errors.push(`${path}: ${condition.metric} always looks at every routine`);
+    }
+    if (condition.window) {
+      const { days, from, to } = condition.window;
+      const validDays = days === undefined || (Number.isInteger(days) && days > 0);
+      const validRange = [from, to].every(key => key === undefined || DateKey.isKey(key));
+      if (!validDays || !validRange || (days === undefined && from === undefined && to === undefined)) {
+        errors.push(`${path}.window must be { days } or { from, to } with YYYY-MM-DD dates`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Compile a condition into a check
+   * @returns {function} - (user, history) => boolean
+   * @throws {Error} - If the condition is invalid
+   */
+  compileCondition(condition) {
+    const errors = AchievementManager.validateCondition(condition, { skills: this.skillTypes || undefined });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
     }
+    return this.buildEvaluator(condition);
+  }
+
+  /**
+   * Build the check for a valid condition
+   */
+  buildEvaluator(condition) {
+    if (condition.all) {
+      const checks = condition.all.map(child => this.buildEvaluator(child));
+      return (user, history) => checks.every(check => check(user, history));
+    }
+    if (condition.any) {
+      const checks = condition.any.map(child => this.buildEvaluator(child));
+      return (user, history) => checks.some(check => check(user, history));
+    }
+    if (condition.not) {
+      const check = this.buildEvaluator(condition.not);
+      return (user, history) => !check(user, history);
+    }
+
+    const read = this.buildReader(condition);
+    const compare = AchievementManager.OPERATORS[condition.op ?? '>='];
+    const passes = value => compare(value, condition.value);
+
+    if (AchievementManager.METRICS[condition.metric].scope !== 'skill') {
+      return (user, history) => passes(read(user, history));
+    }
+
+    return user => {
+      const skills = user.getActiveSkills();
+      if (condition.skills === 'all') {
+        return skills.length > 0 && skills.every(skill => passes(read(skill)));
+      }
+      if (condition.skills === 'any') {
+        return skills.some(skill => passes(read(skill)));
+      }
+      const skill = user.skills[condition.skills];
+      return !!skill && passes(read(skill));
+    };
+  }
+
+  /**
+   * Build the progress report for a valid condition
+   * Comparisons report their metric against the target; for skill metrics the
+   * skill that decides the outcome (best for 'any', weakest for 'all').
+   * `all` reports how many parts are met, `any` its closest part.
+   * @returns {function} - (user, history) => { current, target, ratio, label }
+   */
+  buildProgress(condition) {
+    if (condition.all) {
+      const parts = condition.all.map(child => this.buildProgress(child));
+      return (user, history) => {
+        const reports = parts.map(part => part(user, history));
+        return {
+          current: reports.filter(report => report.ratio >= 1).length,
+          target: reports.length,
+          ratio: reports.reduce((sum, report) => sum + report.ratio, 0) / reports.length,
+          label: 'Goals met'
+        };
+      };
+    }
+    if (condition.any) {
+      const parts = condition.any.map(child => this.buildProgress(child));
+      return (user, history) => parts
+        .map(part => part(user, history))
+        .reduce((best, report) => (report.ratio > best.ratio ? report : best));
+    }
+
+    const check = this.buildEvaluator(condition);
+    if (condition.not) {
+      return (user, history) => {
+        const met = check(user, history);
+        return { current: met ? 1 : 0, target: 1, ratio: met ? 1 : 0, label: AchievementManager.describeCondition(condition) };
+      };
+    }
+
+    const metric = AchievementManager.METRICS[condition.metric];
+    const read = this.buildReader(condition);
+    const op = condition.op ?? '>=';
+    const growing = op === '>=' || op === '>';
+    // The skill that decides the outcome: the closest one for 'any', the furthest for 'all'
+    const pick = (condition.skills === 'all') === growing ? Math.min : Math.max;
+
+    let label = metric.label;
+    if (condition.skills === 'any') label = `${growing ? 'Best' : 'Lowest'} ${metric.label.toLowerCase()}`;
+    if (condition.skills === 'all') label = `${growing ? 'Lowest' : 'Highest'} ${metric.label.toLowerCase()}`;
+
+    return (user, history) => {
+      let current;
+      if (metric.scope !== 'skill') {
+        current = read(user, history);
+      } else if (condition.skills === 'any' || condition.skills === 'all') {
+        const values = user.getActiveSkills().map(skill => read(skill));
+        current = values.length > 0 ? pick(...values) : 0;
+      } else {
+        current = user.skills[condition.skills] ? read(user.skills[condition.skills]) : 0;
+      }
+
+      const met = check(user, history);
+      // Growing metrics fill up toward the target; other comparisons are met or not
+      const ratio = met ? 1 : growing && condition.value > 0
+        ? Math.min(0.99, Math.max(0, current) / condition.value)
+        : 0;
+
+      return { current, target: condition.value, ratio, label };
+    };
+  }
+
+  /**
+   * Build the function that reads a condition's metric
+   * @returns {function} - (user, history) => number, or (skill) => number for skill metrics
+   */
+  buildReader(condition) {
+    const metric = AchievementManager.METRICS[condition.metric];
+    if (metric.scope === 'sessions') {
+      return (user, history) => metric.read(history, {
+        routineId: condition.routineId || null,
+        ...AchievementManager.getWindowRange(condition.window, history.today)
+      }, user);
+    }
+    if (metric.scope !== 'history') {
+      return metric.read;
+    }
+
+    return (user, history) => {
+      const { from, to } = AchievementManager.getWindowRange(condition.window, history?.today);
+      const totals = this.getLedgerTotals(user.ledger.events, condition.metric, condition.routineId || null);
+      if (!from && !to) return totals.total;
+
+      // Walk whichever is shorter: the window's days or the days with events
+      if (from && to && DateKey.daysBetween(from, to) < totals.byDay.size) {
+        let total = 0;
+        for (let day = from; day <= to; day = DateKey.addDays(day, 1)) {
+          total += totals.byDay.get(day) || 0;
+        }
+        return total;
+      }
+
+      let total = 0;
+      for (const [day, value] of totals.byDay) {
+        if ((!from || day >= from) && (!to || day <= to)) total += value;
+      }
+      return total;
+    };
+  }
+
+  /**
+   * Running totals of a history metric over ledger events, overall and per
+   * day (events count on their source's day). The ledger is append-only, so
+   * each read only adds the events recorded since the last one.
+   * @returns {object} - { total, byDay: Map of key -> total }
+   */
+  getLedgerTotals(events, metricName, routineId) {
+    if (!this.ledgerTotals.has(events)) {
+      this.ledgerTotals.set(events, new Map());
+    }
+    const ledgerTotals = this.ledgerTotals.get(events);
+    const key = `${metricName}:${routineId}`;
+    if (!ledgerTotals.has(key)) {
+      ledgerTotals.set(key, { read: 0, total: 0, byDay: new Map() });
+    }
+
+    const totals = ledgerTotals.get(key);
+    const weights = AchievementManager.METRICS[metricName].events;
+    for (; totals.read < events.length; totals.read++) {
+      const event = events[totals.read];
+      const weight = weights[event.type];
+      if (weight === undefined) continue;
+      if (routineId && event.source?.routineId !== routineId) continue;
+
+      const day = DateKey.isKey(event.source?.date) ? event.source.date : DateKey.of(event.at);
+      const value = typeof weight === 'function' ? weight(event) : weight;
+      totals.total += value;
+      totals.byDay.set(day, (totals.byDay.get(day) || 0) + value);
+    }
+    return totals;
+  }
+
+  /**
+   * Days a window covers
+   * @param {string} today - Day `{ days }` windows end on
+   * @returns {object} - { from, to } keys, either may be null (open ended)
+   */
+  static getWindowRange(window = null, today = DateKey.today()) {
+    if (!window) return { from: null, to: null };
+    if (window.days) {
+      return { from: DateKey.addDays(today, 1 - window.days), to: today };
+    }
+    return { from: window.from || null, to: window.to || null };
+  }
+
+  /**
+   * Describe a condition in words, for achievements without a description
+   */
+  static describeCondition(condition) {
+    if (condition.all) return condition.all.map(AchievementManager.describeCondition).join(' and ');
+    if (condition.any) return condition.any.map(AchievementManager.describeCondition).join(' or ');
+    if (condition.not) return `not (${AchievementManager.describeCondition(condition.not)})`;
+
+    const metric = AchievementManager.METRICS[condition.metric];
+    const parts = [`${metric.label} ${condition.op ?? '>='} ${condition.value.toLocaleString()}`];
+
+    if (condition.skills === 'all') parts.push('in all active skills');
+    else if (condition.skills === 'any') parts.push('in any skill');
+    else if (condition.skills) parts.push(`in ${condition.skills}`);
+    if (condition.routineId) parts.push(`for ${condition.routineId}`);
+    if (condition.window?.days) parts.push(`in the last ${condition.window.days} days`);
+    if (condition.window?.from) parts.push(`from ${condition.window.from}`);
+    if (condition.window?.to) parts.push(`until ${condition.window.to}`);
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Add an achievement the user created
+   * @param {object} data - { name, icon, description, condition, secret }
+   * @returns {object} - The stored definition (with its generated id)
+   * @throws {Error} - If the name or condition is invalid
+   */
+  addCustomAchievement(data) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+      throw new Error('Give the achievement a name');
+    }
+    if (/[<>&"'`]/.test(name + (data.icon || '') + (data.description || ''))) {
+      throw new Error('Achievements can\'t contain < > & " \' or `');
+    }
+    const errors = AchievementManager.validateCondition(data.condition, { skills: this.skillTypes || undefined });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'achievement';
+    let id = `custom-${slug}`;
+    for (let n = 2; this.achievements.has(id); n++) {
+      id = `custom-${slug}-${n}`;
+    }
+
+    const definition = {
+      id,
+      name,
+      description: String(data.description || '').trim() || AchievementManager.describeCondition(data.condition),
+      icon: String(data.icon || '').trim() || '🏅',
+      category: 'custom',
+      condition: data.condition,
+      secret: !!data.secret,
+      custom: true
+    };
+    this.register(definition);
+    return definition;
+  }
+
+  /**
+   * Register saved custom achievements (invalid ones are skipped)
+   * IDs end up in onclick handlers, so only generated ones are accepted
+   */
+  loadCustomAchievements(definitions = []) {
+    for (const definition of definitions) {
+      try {
+        if (!/^custom-[a-z0-9-]+$/.test(definition.id)) {
+          throw new Error('Invalid achievement ID');
+        }
+        this.register({ ...definition, category: 'custom', custom: true });
+      } catch (error) {
+        console.error(`Custom achievement ${definition.id} could not be loaded:`, error);
+      }
+    }
+  }
+
+  /**
+   * Remove a custom achievement
+   * @returns {boolean} - True if it was removed
+   */
+  removeCustomAchievement(achievementId) {
+    if (!this.achievements.get(achievementId)?.custom) return false;
+    this.achievements.delete(achievementId);
+    this.evaluators.delete(achievementId);
+    this.progressReaders.delete(achievementId);
+    return true;
+  }
+
+  /**
+   * Get the stored routine sessions session metrics are read from
+   */
+  getSessionHistory() {
+    return this.routineManager ? this.routineManager.getSessionHistory() : new SessionHistory();
+  }
+
+  /**
+   * Get how close a user is to an achievement
+   * @param {SessionHistory} history - Pass one in when checking several achievements
+   * @returns {object} - { current, target, ratio (0-1), label }; unlocked
+   *   achievements report a ratio of 1
+   */
+  getProgress(achievementId, user, history = this.getSessionHistory()) {
+    const progress = this.progressReaders.get(achievementId)(user, history);
+    return this.achievements.get(achievementId).isUnlocked() ? { ...progress, ratio: 1 } : progress;
+  }
+
+  /**
+   * Get the locked achievements closest to unlocking (secret ones stay hidden)
+   * @returns {array} - [{ achievement, progress }], closest first
+   */
+  getNextGoals(user, count = 3) {
+    const visible = this.getLockedAchievements().filter(achievement => !achievement.secret);
+    return this.sortByProgress(visible, user).slice(0, count);
+  }
+
+  /**
+   * Sort achievements closest to unlocking first (locked secrets, then unlocked ones last)
+   * @returns {array} - [{ achievement, progress }]
+   */
+  sortByProgress(achievements, user) {
+    const history = this.getSessionHistory();
+    const rank = achievement => (achievement.isUnlocked() ? 2 : achievement.secret ? 1 : 0);
+    return achievements
+      .map(achievement => ({ achievement, progress: this.getProgress(achievement.id, user, history) }))
+      .sort((a, b) => rank(a.achievement) - rank(b.achievement) || b.progress.ratio - a.progress.ratio);
   }
 
   /**
@@ -33,15 +530,17 @@ export class AchievementManager {
    */
   checkAchievements(user) {
     const newlyUnlocked = [];
+    const context = user.getUnlockContext();
+    const history = this.getSessionHistory();
 
     for (const achievement of this.achievements.values()) {
       // Skip if already unlocked
       if (achievement.isUnlocked()) continue;
 
       // Check condition
-      if (achievement.condition(user)) {
-        achievement.unlock();
-        user.unlockAchievement(achievement.id);
+      if (this.evaluators.get(achievement.id)(user, history)) {
+        const record = user.unlockAchievement(achievement.id, context);
+        achievement.unlock(record.unlockedAt, record.context);
         newlyUnlocked.push(achievement);
       }
     }
@@ -88,16 +587,137 @@ export class AchievementManager {
 
   /**
    * Restore unlocked achievements from user data
+   * @param {Array} records - Unlock records (see User.unlockAchievement)
    */
-  restoreUnlocked(unlockedIds) {
-    for (const id of unlockedIds) {
-      const achievement = this.achievements.get(id);
-      if (achievement && !achievement.isUnlocked()) {
-        achievement.unlock();
-      }
+  restoreUnlocked(records) {
+    for (const { id, unlockedAt, context } of records) {
+      this.achievements.get(id)?.unlock(unlockedAt, context);
     }
   }
 
+  /**
+   * Check if a condition reads the ledger or session history
+   */
+  static readsHistory(condition) {
+    if (condition.all) return condition.all.some(AchievementManager.readsHistory);
+    if (condition.any) return condition.any.some(AchievementManager.readsHistory);
+    if (condition.not) return AchievementManager.readsHistory(condition.not);
+    return ['history', 'sessions'].includes(AchievementManager.METRICS[condition.metric].scope);
+  }
+
+  /**
+   * Fingerprint of the achievement definitions and formulas, stored on the
+   * user after a recalculation
+   */
+  getSignature() {
+    const definitions = this.getAllAchievements()
+      .map(achievement => `${achievement.id}:${JSON.stringify(achievement.condition)}`)
+      .sort()
+      .join('|');
+
+    let hash = 0;
+    for (const char of definitions) {
+      hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    }
+    return `${AchievementManager.FORMULA_VERSION}-${(hash >>> 0).toString(36)}`;
+  }
+
+  /**
+   * Check if achievements or formulas changed since the user's last recalculation
+   */
+  needsRecalculation(user) {
+    return user.achievementSignature !== this.getSignature();
+  }
+
+  /**
+   * Evaluate every locked achievement against the full stored history.
+   * The ledger is replayed event by event and each achievement is backdated
+   * to the first point it was met. Conditions reading history are checked at
+   * the end of each day with ledger events or sessions, against the sessions
+   * up to that day. Ones only met by the current totals, e.g. progress older
+   * than the ledger, unlock now.
+   * Ledger events and session days are walked together in date order, with
+   * sessions added to the history as their day is reached, so each event and
+   * session is only read once.
+   * @returns {array} - Newly unlocked [{ achievement, id, unlockedAt, context, backdated }], oldest first
+   */
+  recalculate(user) {
+    const pending = this.getLockedAchievements();
+    const history = this.getSessionHistory();
+    const earned = new Map(); // achievementId -> { unlockedAt, context, backdated }
+
+    const evaluate = (achievements, state, stateHistory, unlockedAt, backdated) => {
+      for (const achievement of achievements) {
+        if (!earned.has(achievement.id) && this.evaluators.get(achievement.id)(state, stateHistory)) {
+          earned.set(achievement.id, { unlockedAt, context: state.getUnlockContext(), backdated });
+        }
+      }
+    };
+
+    const byEvent = pending.filter(achievement => !AchievementManager.readsHistory(achievement.condition));
+    const byDay = pending.filter(achievement => AchievementManager.readsHistory(achievement.condition));
+    const sessions = history.getSessions();
+    const sessionDays = history.getSessionDays();
+    const { events } = user.ledger;
+
+    // The history as it stood at the end of a day; days only move forward
+    const replayed = new SessionHistory([], [...history.routines.values()]);
+    let nextSession = 0;
+    let nextSessionDay = 0;
+    const historyUntil = day => {
+      while (nextSession < sessions.length && sessions[nextSession].date <= day) {
+        replayed.setSession(sessions[nextSession++]);
+      }
+      replayed.setToday(day);
+      return replayed;
+    };
+
+    User.replay(user.ledger, user, {
+      onEvent: (state, event, index) => {
+        evaluate(byEvent, state, null, event.at, true);
+
+        const day = DateKey.of(event.at);
+        const nextDay = index < events.length - 1 ? DateKey.of(events[index + 1].at) : null;
+        if (byDay.length === 0 || nextDay === day) return;
+
+        // This day, then the days until the next event that only have sessions
+        evaluate(byDay, state, historyUntil(day), event.at, true);
+        while (nextSessionDay < sessionDays.length && sessionDays[nextSessionDay] <= day) {
+          nextSessionDay++;
+        }
+        while (nextSessionDay < sessionDays.length && (!nextDay || sessionDays[nextSessionDay] < nextDay)) {
+          const sessionDay = sessionDays[nextSessionDay++];
+          evaluate(byDay, state, historyUntil(sessionDay), history.getLastActivityAt(sessionDay), true);
+        }
+      }
+    });
+    evaluate(pending, user, history, new Date().toISOString(), false);
+
+    const unlocked = pending
+      .filter(achievement => earned.has(achievement.id))
+      .map(achievement => {
+        const { unlockedAt, context, backdated } = earned.get(achievement.id);
+        const record = user.unlockAchievement(achievement.id, context, unlockedAt);
+        achievement.unlock(record.unlockedAt, record.context);
+        return { achievement, ...record, backdated };
+      });
+
+    user.achievementSignature = this.getSignature();
+    return unlocked.sort((a, b) => a.unlockedAt.localeCompare(b.unlockedAt));
+  }
+
+  /**
+   * Get unlocked achievements with their unlock records, newest first
+   * (unlocks from before times were recorded come last)
+   * @returns {Array} - [{ achievement, unlockedAt, context }]
+   */
+  getTimeline(user) {
+    return user.stats.achievements
+      .filter(record => this.achievements.has(record.id))
+      .map(record => ({ ...record, achievement: this.achievements.get(record.id) }))
+      .sort((a, b) => (b.unlockedAt || '').localeCompare(a.unlockedAt || ''));
+  }
+
   /**
    * Get achievements by category
    */
@@ -109,23 +729,12 @@ export class AchievementManager {
       xp: [],
       task: [],
       prestige: [],
+      custom: [],
       other: []
     };
 
     for (const achievement of this.achievements.values()) {
-      if (achievement.id.startsWith('streak-')) {
-        categories.streak.push(achievement);
-      } else if (achievement.id.startsWith('routine-')) {
-        categories.routine.push(achievement);
-      } else if (achievement.id.includes('skill') || achievement.id.includes('prestige')) {
-        categories.skill.push(achievement);
-      } else if (achievement.id.startsWith('xp-')) {
-        categories.xp.push(achievement);
-      } else if (achievement.id.startsWith('tasks-')) {
-        categories.task.push(achievement);
-      } else {
-        categories.other.push(achievement);
-      }
+      (categories[achievement.category] || categories.other).push(achievement);
     }
 
     return categories;
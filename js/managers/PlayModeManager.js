@@ -0,0 +1,272 @@
+/**
+ * PlayModeManager
+ * Walks through a routine one item at a time with a countdown per item
+ */
+
+export class PlayModeManager {
+  constructor(routineManager) {
+    this.routineManager = routineManager;
+    this.routineId = null;
+    this.steps = [];
+    this.stepIndex = 0;
+    this.completed = [];
+    this.skipped = [];
+
+    // Countdown state: while running the deadline is endsAt,
+    // while paused the remaining time is frozen in pausedRemainingMs
+    this.endsAt = null;
+    this.pausedRemainingMs = null;
+    this.totalMs = 0;
+    this.stepStartedAt = null;
+
+    this.timer = null;
+    this.callbacks = {};
+  }
+
+  /**
+   * Start play mode for a routine
+   * @param {string} routineId
+   * @param {object} callbacks - {
+   *   onStep(state): a new item is shown,
+   *   onTick(state): countdown changed,
+   *   onItemComplete(routineId, itemId, state): item finished, award XP;
+   *     return false if it wasn't recorded (the item is then skipped),
+   *   onFinish(state): no items left
+   * }
+   */
+  start(routineId, callbacks = {}) {
+    this.stop();
+
+    const routine = this.routineManager.getEffectiveRoutine(routineId);
+    const session = this.routineManager.getSession(routineId);
+    if (!routine) {
+      throw new Error(`Routine ${routineId} not found`);
+    }
+
+    this.routineId = routineId;
+    this.callbacks = callbacks;
+    this.completed = [];
+    this.skipped = [];
+
+    // Only today's items not already checked off, in routine order
+    this.steps = [];
+    routine.sections.forEach((section, sectionIndex) => {
+      for (const item of section.items) {
+        if (!session.isItemCompleted(item.id)) {
+          this.steps.push({ item, section, sectionIndex });
+        }
+      }
+    });
+
+    this.routineManager.startSession(routineId);
+    this.timer = setInterval(() => this.tick(), 250);
+    this.goToStep(0);
+  }
+
+  /**
+   * Check if play mode is running
+   */
+  isActive() {
+    return this.routineId !== null;
+  }
+
+  /**
+   * Get current step
+   */
+  getCurrentStep() {
+    return this.steps[this.stepIndex] || null;
+  }
+
+  /**
+   * Move to a step and reset its countdown
+   */
+  goToStep(index) {
+    this.stepIndex = index;
+    const step = this.getCurrentStep();
+
+    if (!step) {
+      this.finish();
+      return;
+    }
+
+    this.totalMs = step.item.duration ? step.item.duration * 60 * 1000 : 0;
+    this.endsAt = this.totalMs > 0 ? Date.now() + this.totalMs : null;
+    this.pausedRemainingMs = null;
+    this.stepStartedAt = new Date().toISOString();
+
+    this.callbacks.onStep?.(this.getState());
+  }
+
+  /**
+   * Timer tick: update countdown and auto-advance when it runs out
+   */
+  tick() {
+    if (!this.isActive() || this.isPaused() || !this.endsAt) return;
+
+    this.callbacks.onTick?.(this.getState());
+
+    if (this.getRemainingMs() <= 0) {
+      this.completeCurrent();
+    }
+  }
+
+  /**
+   * Get remaining milliseconds for the current item
+   */
+  getRemainingMs() {
+    if (this.pausedRemainingMs !== null) return this.pausedRemainingMs;
+    if (!this.endsAt) return 0;
+    return Math.max(0, this.endsAt - Date.now());
+  }
+
+  /**
+   * Check if the countdown is paused
+   */
+  isPaused() {
+    return this.pausedRemainingMs !== null;
+  }
+
+  /**
+   * Pause the countdown
+   */
+  pause() {
+    if (this.isPaused() || !this.endsAt) return;
+    this.pausedRemainingMs = this.getRemainingMs();
+    this.callbacks.onTick?.(this.getState());
+  }
+
+  /**
+   * Resume the countdown
+   */
+  resume() {
+    if (!this.isPaused()) return;
+    this.endsAt = Date.now() + this.pausedRemainingMs;
+    this.pausedRemainingMs = null;
+    this.callbacks.onTick?.(this.getState());
+  }
+
+  /**
+   * Toggle pause/resume
+   */
+  togglePause() {
+    if (this.isPaused()) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Add time to the current item
+   */
+  extend(seconds = 60) {
+    const extraMs = seconds * 1000;
+    this.totalMs += extraMs;
+
+    if (this.isPaused()) {
+      this.pausedRemainingMs += extraMs;
+    } else if (this.endsAt) {
+      this.endsAt += extraMs;
+    } else {
+      // Untimed item becomes timed
+      this.endsAt = Date.now() + extraMs;
+    }
+
+    this.callbacks.onTick?.(this.getState());
+  }
+
+  /**
+   * Skip current item without completing it
+   */
+  skip() {
+    const step = this.getCurrentStep();
+    if (!step) return;
+
+    this.skipped.push(step.item.id);
+    this.goToStep(this.stepIndex + 1);
+  }
+
+  /**
+   * Complete current item and advance (locked items, and items that
+   * couldn't be recorded, are skipped instead)
+   */
+  completeCurrent() {
+    const step = this.getCurrentStep();
+    if (!step) return;
+
+    // A locked item can't be completed yet; leave it for later
+    if (this.getBlockers().length > 0) {
+      this.skip();
+      return;
+    }
+
+    // Clear the deadline first so a tick during the callback can't complete twice
+    this.endsAt = null;
+    if (this.callbacks.onItemComplete?.(this.routineId, step.item.id, this.getState()) === false) {
+      if (this.isActive()) this.skip();
+      return;
+    }
+    this.completed.push(step.item.id);
+
+    if (this.isActive()) {
+      this.goToStep(this.stepIndex + 1);
+    }
+  }
+
+  /**
+   * Get unfinished prerequisites of the current item
+   */
+  getBlockers() {
+    const step = this.getCurrentStep();
+    return step ? this.routineManager.getItemBlockers(this.routineId, step.item.id) : [];
+  }
+
+  /**
+   * All steps done or skipped
+   */
+  finish() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.endsAt = null;
+    this.callbacks.onFinish?.(this.getState());
+  }
+
+  /**
+   * Leave play mode
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.routineId = null;
+    this.steps = [];
+    this.stepIndex = 0;
+    this.endsAt = null;
+    this.pausedRemainingMs = null;
+  }
+
+  /**
+   * Snapshot of play mode state for rendering
+   */
+  getState() {
+    const step = this.getCurrentStep();
+    const next = this.steps[this.stepIndex + 1] || null;
+
+    return {
+      routine: this.routineManager.getRoutine(this.routineId),
+      item: step?.item || null,
+      section: step?.section || null,
+      nextItem: next?.item || null,
+      stepNumber: Math.min(this.stepIndex + 1, this.steps.length),
+      stepCount: this.steps.length,
+      remainingSeconds: Math.ceil(this.getRemainingMs() / 1000),
+      totalSeconds: Math.round(this.totalMs / 1000),
+      isTimed: this.totalMs > 0,
+      paused: this.isPaused(),
+      finished: !step,
+      stepStartedAt: this.stepStartedAt,
+      blockers: this.getBlockers(),
+      completed: [...this.completed],
+      skipped: [...this.skipped]
+    };
+  }
+}
@@ -3,22 +3,117 @@
  * Manages routines and their sessions
  */
 
-import { Routine } from '../models/Routine.js';
+import { Routine, ItemLockedError, ItemRequiredError } from '../models/Routine.js';
 import { RoutineSession } from '../models/RoutineSession.js';
+import { SessionHistory } from '../models/SessionHistory.js';
+import { validateRoutine } from '../models/RoutineSchema.js';
+import { DateKey } from '../models/DateKey.js';
 
 export class RoutineManager {
   constructor(storageManager) {
     this.storageManager = storageManager;
     this.routines = new Map();
     this.sessions = new Map();
+
+    // Stored sessions read for achievements, built on first use (see getSessionHistory)
+    this.sessionHistory = null;
+
+    // Original bundled routines, kept so a custom override can be reverted
+    this.bundledRoutines = new Map();
+
+    // Manifest groups and files that failed to load
+    this.groups = [];
+    this.loadErrors = [];
+
+    // Skill types routines may reward (null = built-in skills)
+    this.skillTypes = null;
+
+    // Manual modes (e.g. 'travel') that switch conditional sections on or off
+    this.activeModes = [];
+  }
+
+  /**
+   * Set which skill types routines are allowed to reward
+   */
+  setSkillTypes(skillTypes) {
+    this.skillTypes = skillTypes;
+  }
+
+  /**
+   * Set the manual modes currently switched on
+   */
+  setActiveModes(modes) {
+    this.activeModes = [...modes];
+  }
+
+  /**
+   * Get every mode referred to by a routine condition
+   */
+  getAvailableModes() {
+    const modes = new Set();
+    for (const routine of this.routines.values()) {
+      routine.getModes().forEach(mode => modes.add(mode));
+    }
+    return [...modes].sort();
+  }
+
+  /**
+   * Get a routine as it applies on a date (only sections and items whose
+   * conditions match). Today follows the current modes; past days use the
+   * modes recorded on their session.
+   */
+  getEffectiveRoutine(routineId, date = null) {
+    const routine = this.getRoutine(routineId);
+    if (!routine) return null;
+
+    const key = DateKey.from(date);
+    const modes = key === DateKey.today()
+      ? this.activeModes
+      : this.getSession(routineId, key).variant?.modes || [];
+
+    return routine.resolve({ date: DateKey.toDay(key), modes });
+  }
+
+  /**
+   * Validate routine data against the routine schema
+   * @returns {object} - { valid, errors, warnings }
+   */
+  validate(data) {
+    return validateRoutine(data, { skills: this.skillTypes || undefined });
+  }
+
+  /**
+   * Load the routine manifest
+   * @returns {array} - Enabled manifest entries sorted by order
+   */
+  async loadManifest(manifestPath = 'routines/index.json') {
+    const response = await fetch(manifestPath);
+    if (!response.ok) {
+      throw new Error(`Failed to load routine manifest: ${response.statusText}`);
+    }
+
+    const manifest = await response.json();
+
+    this.groups = (manifest.groups || [])
+      .map((group, index) => ({ ...group, order: group.order ?? index }))
+      .sort((a, b) => a.order - b.order);
+
+    return (manifest.routines || [])
+      .map((entry, index) => ({ ...entry, order: entry.order ?? index }))
+      .filter(entry => entry.enabled !== false)
+      .sort((a, b) => a.order - b.order);
   }
 
   /**
    * Load a routine from JSON file
+   * @param {object} meta - Manifest metadata (group, order) to attach
    */
-  async loadRoutine(filepath) {
+  async loadRoutine(filepath, meta = {}) {
     try {
-      const routine = await Routine.loadFromFile(filepath);
+      const routine = await Routine.loadFromFile(filepath, { skills: this.skillTypes || undefined });
+      routine.group = meta.group ?? routine.group;
+      routine.order = meta.order ?? routine.order;
+      this.bundledRoutines.set(routine.id, routine);
       this.routines.set(routine.id, routine);
       return routine;
     } catch (error) {
@@ -29,10 +124,197 @@ export class RoutineManager {
 
   /**
    * Load multiple routines
+   * A routine that fails to load is recorded in load errors instead of
+   * rejecting the whole batch
+   * @param {array} entries - Manifest entries or plain file paths
    */
-  async loadRoutines(filepaths) {
-    const promises = filepaths.map(path => this.loadRoutine(path));
-    return Promise.all(promises);
+  async loadRoutines(entries) {
+    const normalized = entries.map(entry => (typeof entry === 'string' ? { path: entry } : entry));
+    const results = await Promise.allSettled(
+      normalized.map(entry => this.loadRoutine(entry.path, entry))
+    );
+
+    const loaded = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        loaded.push(result.value);
+      } else {
+        this.loadErrors.push({
+          path: normalized[index].path,
+          message: result.reason?.message || String(result.reason),
+          details: result.reason?.errors || []
+        });
+      }
+    });
+
+    // Re-insert in manifest order, since files resolve in arbitrary order
+    for (const routine of loaded) {
+      this.routines.delete(routine.id);
+      this.routines.set(routine.id, routine);
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Load all enabled routines listed in the manifest
+   */
+  async loadFromManifest(manifestPath = 'routines/index.json') {
+    let entries;
+    try {
+      entries = await this.loadManifest(manifestPath);
+    } catch (error) {
+      console.error('Failed to load routine manifest:', error);
+      this.loadErrors.push({ path: manifestPath, message: error.message });
+      return [];
+    }
+
+    return this.loadRoutines(entries);
+  }
+
+  /**
+   * Get routines that failed to load
+   * @returns {array} - [{ path, message }]
+   */
+  getLoadErrors() {
+    return this.loadErrors;
+  }
+
+  /**
+   * Get routine groups from the manifest
+   */
+  getGroups() {
+    return this.groups;
+  }
+
+  /**
+   * Load routines saved from the editor
+   * Custom routines with a bundled routine's ID replace the bundled version
+   */
+  async loadCustomRoutines() {
+    const savedRoutines = await this.storageManager.loadCustomRoutines();
+    const loaded = [];
+
+    for (const data of savedRoutines) {
+      const validation = this.validate(data);
+      if (!validation.valid) {
+        this.loadErrors.push({
+          path: `custom routine "${data.name || data.id}"`,
+          message: 'Saved routine is invalid',
+          details: validation.errors
+        });
+        continue;
+      }
+
+      const routine = this.createCustomRoutine(data);
+      this.routines.set(routine.id, routine);
+      loaded.push(routine);
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Build a custom routine, inheriting manifest metadata from the
+   * bundled routine it overrides
+   */
+  createCustomRoutine(data) {
+    const bundled = this.bundledRoutines.get(data.id);
+    return new Routine({
+      ...data,
+      group: bundled?.group ?? data.group,
+      order: bundled?.order ?? data.order,
+      source: 'custom'
+    });
+  }
+
+  /**
+   * Get all routines created or modified in the editor
+   */
+  getCustomRoutines() {
+    return this.getAllRoutines().filter(routine => routine.isCustom());
+  }
+
+  /**
+   * Persist all custom routines through the storage manager
+   */
+  async persistCustomRoutines() {
+    const data = this.getCustomRoutines().map(routine => routine.toJSON());
+    await this.storageManager.saveCustomRoutines(data);
+  }
+
+  /**
+   * Create or update a custom routine from editor data
+   */
+  async saveCustomRoutine(data) {
+    const routine = this.createCustomRoutine(data);
+    this.routines.set(routine.id, routine);
+    await this.persistCustomRoutines();
+    return routine;
+  }
+
+  /**
+   * Delete a custom routine
+   * If it overrode a bundled routine, the bundled version is restored
+   */
+  async deleteCustomRoutine(routineId) {
+    const routine = this.getRoutine(routineId);
+    if (!routine || !routine.isCustom()) {
+      throw new Error(`Routine ${routineId} is not a custom routine`);
+    }
+
+    if (this.bundledRoutines.has(routineId)) {
+      this.routines.set(routineId, this.bundledRoutines.get(routineId));
+    } else {
+      this.routines.delete(routineId);
+    }
+
+    await this.persistCustomRoutines();
+    return this.getRoutine(routineId) || null;
+  }
+
+  /**
+   * Duplicate a routine as a new custom routine
+   */
+  async duplicateRoutine(routineId) {
+    const routine = this.getRoutine(routineId);
+    if (!routine) {
+      throw new Error(`Routine ${routineId} not found`);
+    }
+
+    const data = routine.cloneData();
+    data.id = this.generateRoutineId(data.id);
+    data.name = `${data.name} (Copy)`;
+
+    return this.saveCustomRoutine(data);
+  }
+
+  /**
+   * Check if a custom routine overrides a bundled routine
+   */
+  isOverridden(routineId) {
+    const routine = this.getRoutine(routineId);
+    return !!routine && routine.isCustom() && this.bundledRoutines.has(routineId);
+  }
+
+  /**
+   * Generate an unused routine ID from a name or existing ID
+   */
+  generateRoutineId(base) {
+    const slug = String(base || 'routine')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'routine';
+
+    let id = slug;
+    let counter = 2;
+    while (this.routines.has(id)) {
+      id = `${slug}-${counter}`;
+      counter++;
+    }
+    return id;
   }
 
   /**
@@ -49,8 +331,32 @@ export class RoutineManager {
     return Array.from(this.routines.values());
   }
 
+  /**
+   * Check if a routine is due on a day (a key or Date, see DateKey.from)
+   */
+  isScheduledOn(routineId, date = null) {
+    const routine = this.getRoutine(routineId);
+    return !!routine && routine.isScheduledOn(DateKey.toDay(DateKey.from(date)));
+  }
+
+  /**
+   * Get routines due on a day
+   */
+  getScheduledRoutines(date = null) {
+    const day = DateKey.toDay(DateKey.from(date));
+    return this.getAllRoutines().filter(routine => routine.isScheduledOn(day));
+  }
+
+  /**
+   * Check if any routine is due on a day (used for streaks)
+   */
+  isAnyRoutineScheduled(date = null) {
+    return this.getScheduledRoutines(date).length > 0;
+  }
+
   /**
    * Get or create session for a routine
+   * @param {string|Date|null} date - Day of the session (see DateKey.from), today if omitted
    */
   getSession(routineId, date = null) {
     const routine = this.getRoutine(routineId);
@@ -58,8 +364,8 @@ export class RoutineManager {
       throw new Error(`Routine ${routineId} not found`);
     }
 
-    const dateStr = date ? new Date(date).toDateString() : new Date().toDateString();
-    const sessionKey = `${routineId}_${dateStr}`;
+    const key = DateKey.from(date);
+    const sessionKey = `${routineId}_${key}`;
 
     // Check if session exists in memory
     if (this.sessions.has(sessionKey)) {
@@ -67,7 +373,7 @@ export class RoutineManager {
     }
 
     // Try to load from storage
-    const savedSession = this.storageManager.loadSessionLocal(routineId, date);
+    const savedSession = this.storageManager.loadSessionLocal(routineId, key);
     if (savedSession) {
       const session = RoutineSession.fromJSON(savedSession, routine);
       this.sessions.set(sessionKey, session);
@@ -75,7 +381,7 @@ export class RoutineManager {
     }
 
     // Create new session
-    const newSession = new RoutineSession(routine, date);
+    const newSession = new RoutineSession(routine, key);
     this.sessions.set(sessionKey, newSession);
     return newSession;
   }
@@ -84,17 +390,29 @@ export class RoutineManager {
    * Save session to storage
    */
   saveSession(routineId, session) {
-    const dateStr = new Date(session.date).toDateString();
-    const sessionKey = `${routineId}_${dateStr}`;
-    this.sessions.set(sessionKey, session);
+    this.sessions.set(`${routineId}_${session.date}`, session);
     this.storageManager.saveSessionLocal(routineId, session);
+    this.sessionHistory?.setSession(session);
+  }
+
+  /**
+   * Mark a routine session as started (e.g. when play mode begins)
+   */
+  startSession(routineId) {
+    const session = this.getSession(routineId);
+    session.start();
+    session.setVariant(this.getEffectiveRoutine(routineId).variant);
+    this.saveSession(routineId, session);
+    return session;
   }
 
   /**
    * Complete an item in a routine session
+   * @param {object} options - { startedAt } when the item was actually started
+   * @throws {ItemLockedError} - If the item's prerequisites aren't completed yet
    */
-  completeItem(routineId, itemId, user) {
-    const routine = this.getRoutine(routineId);
+  completeItem(routineId, itemId, user, options = {}) {
+    const routine = this.getEffectiveRoutine(routineId);
     const session = this.getSession(routineId);
     const item = routine.getItem(itemId);
 
@@ -103,20 +421,39 @@ export class RoutineManager {
       return null;
     }
 
+    this.assertUnlocked(routine, session, item);
+
+    // Checking off a quantitative item logs its full target
+    if (Routine.isQuantitative(item)) {
+      return this.logItemAmount(routineId, itemId, Math.max(item.target, session.getItemAmount(itemId)), user, options);
+    }
+
+    // Completing twice must not grant twice
+    if (session.isItemCompleted(itemId)) {
+      return {
+        item,
+        xpResults: [],
+        session,
+        isRoutineComplete: session.isComplete(routine),
+        routineCompleted: false,
+        completionResults: []
+      };
+    }
+
     // Mark item as completed
-    session.completeItem(itemId, item.skillRewards);
+    session.completeItem(itemId, item.skillRewards, { ...options, bonus: Routine.isOptional(item) });
+    session.setVariant(routine.variant);
 
     // Award XP to user
-    const xpResults = user.addRoutineRewards(item.skillRewards || {});
+    const xpResults = user.addRoutineRewards(item.skillRewards || {}, 1, session.getSource(itemId));
 
     // Complete task stat
-    user.completeTask();
+    user.completeTask(session.getSource(itemId));
 
-    // Check if routine is complete
-    if (session.isComplete(routine)) {
-      session.complete();
-      user.completeRoutine();
-    }
+    // Remember what was granted so unchecking can take it back
+    session.recordGrant(itemId, xpResults, true);
+
+    const completionResults = this.checkRoutineCompletion(routine, session, user);
 
     // Save session
     this.saveSession(routineId, session);
@@ -125,14 +462,214 @@ export class RoutineManager {
       item,
       xpResults,
       session,
-      isRoutineComplete: session.isComplete(routine)
+      isRoutineComplete: session.isComplete(routine),
+      routineCompleted: completionResults !== null,
+      completionResults: completionResults || []
+    };
+  }
+
+  /**
+   * Get prerequisites still missing for an item in today's variant
+   * @returns {array} - [{ type: 'item'|'section', id, name }], empty if unlocked
+   */
+  getItemBlockers(routineId, itemId) {
+    const routine = this.getEffectiveRoutine(routineId);
+    const session = this.getSession(routineId);
+    return routine.getBlockers(itemId, id => session.isItemCompleted(id));
+  }
+
+  /**
+   * Reject progress on an item whose prerequisites aren't done
+   * @throws {ItemLockedError}
+   */
+  assertUnlocked(routine, session, item) {
+    if (session.isItemCompleted(item.id)) return;
+
+    const blockers = routine.getBlockers(item.id, id => session.isItemCompleted(id));
+    if (blockers.length > 0) {
+      throw new ItemLockedError(item, blockers);
+    }
+  }
+
+  /**
+   * Complete the session once all required items are done, granting the
+   * routine's skillRewards as a bonus scaled by how closely it kept to schedule
+   * Optional items finished afterwards don't complete the routine again
+   * @returns {array|null} - Completion bonus XP results, or null if the routine
+   *   wasn't completed by this call
+   */
+  checkRoutineCompletion(routine, session, user) {
+    if (session.status === 'completed' || !session.isComplete(routine)) {
+      return null;
+    }
+
+    session.complete();
+    session.routineCredit = user.completeRoutine({
+      isScheduledDay: date => this.isAnyRoutineScheduled(date),
+      routineId: routine.id,
+      isRoutineScheduled: date => this.isScheduledOn(routine.id, date),
+      isPerfectDay: this.isPerfectDay(session.date)
+    }, session.getSource());
+
+    // Granted after the streak update so today's streak counts
+    const timing = Routine.getCompletionTiming(session.getScheduleDrift(routine));
+    const xpResults = user.addRoutineRewards(routine.skillRewards, timing.multiplier, session.getSource());
+    session.recordCompletionBonus(timing, routine.skillRewards, xpResults);
+
+    return xpResults;
+  }
+
+  /**
+   * Reopen a completed session that fell below complete, taking back the
+   * routine completion, its streak credit and its completion bonus
+   * @returns {array|null} - Revoked bonus XP results, or null if the routine
+   *   wasn't reopened by this call
+   */
+  checkRoutineReopen(routine, session, user) {
+    if (session.status !== 'completed' || session.isComplete(routine)) {
+      return null;
+    }
+
+    const bonus = session.takeCompletionBonus();
+    const revokedResults = bonus ? user.revokeRoutineRewards(bonus.xp, session.getSource()) : [];
+    const perfectCredit = this.takePerfectDayCredit(routine.id, session.date);
+    user.uncompleteRoutine(session.reopen(), session.getSource(), perfectCredit);
+    return revokedResults;
+  }
+
+  /**
+   * Refuse to uncomplete an item while completed items depend on it
+   * @throws {ItemRequiredError}
+   */
+  assertNotRequired(routine, session, item) {
+    if (!session.isItemCompleted(item.id)) return;
+
+    const dependents = routine.getDependents(item.id, id => session.isItemCompleted(id));
+    if (dependents.length > 0) {
+      throw new ItemRequiredError(item, dependents);
+    }
+  }
+
+  /**
+   * Check if every routine due on a date has been completed
+   */
+  isPerfectDay(date = null) {
+    const scheduled = this.getScheduledRoutines(date);
+    return scheduled.length > 0 && scheduled.every(routine => this.getSession(routine.id, date).status === 'completed');
+  }
+
+  /**
+   * Take the perfect day credit from whichever other routine's completion
+   * earned it, when that day stops being perfect
+   * @returns {object|null} - { before, after } perfect streak credit
+   */
+  takePerfectDayCredit(exceptRoutineId, date) {
+    for (const routine of this.getAllRoutines()) {
+      if (routine.id === exceptRoutineId) continue;
+
+      const session = this.getSession(routine.id, date);
+      const credit = session.routineCredit?.perfectStreak;
+      if (credit) {
+        delete session.routineCredit.perfectStreak;
+        this.saveSession(routine.id, session);
+        return credit;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Take back the XP and task credit an item granted
+   * @param {boolean} keepTask - Keep the task credit (item is still completed)
+   * @returns {array} - Revoked XP results from User.revokeRoutineRewards()
+   */
+  revokeItemGrant(session, itemId, user, keepTask = false) {
+    const grant = session.takeGrant(itemId);
+    const revokedResults = user.revokeRoutineRewards(grant.xp, session.getSource(itemId));
+
+    if (grant.task) {
+      if (keepTask) {
+        session.recordGrant(itemId, [], true);
+      } else {
+        user.uncompleteTask(session.getSource(itemId));
+      }
+    }
+
+    return revokedResults;
+  }
+
+  /**
+   * Log an amount for a quantitative item (reps, pages, minutes...)
+   * XP is scaled to the amount; the item completes once its target is reached
+   * @throws {ItemLockedError} - If the amount goes up before the item's prerequisites are completed
+   * @throws {ItemRequiredError} - If the amount drops below the target while completed items depend on it
+   */
+  logItemAmount(routineId, itemId, amount, user, options = {}) {
+    const routine = this.getEffectiveRoutine(routineId);
+    const session = this.getSession(routineId);
+    const item = routine.getItem(itemId);
+
+    if (!item || !Routine.isQuantitative(item)) {
+      console.error(`Item ${itemId} in routine ${routineId} is not quantitative`);
+      return null;
+    }
+
+    amount = Math.max(0, amount);
+    const previousAmount = session.getItemAmount(itemId);
+
+    if (amount > previousAmount) {
+      this.assertUnlocked(routine, session, item);
+    }
+    if (amount < item.target) {
+      this.assertNotRequired(routine, session, item);
+    }
+
+    // Lowering the amount takes back everything the item granted;
+    // the new amount is then rewarded from scratch
+    let revokedResults = [];
+    if (amount < previousAmount) {
+      revokedResults = this.revokeItemGrant(session, itemId, user, amount >= item.target);
+      session.resetItemReward(itemId, item);
+    }
+
+    const logResult = session.logAmount(itemId, amount, item, options);
+    session.setVariant(routine.variant);
+
+    // Award XP for the newly earned share
+    const xpResults = Object.keys(logResult.grantRewards).length > 0
+      ? user.addRoutineRewards(logResult.grantRewards, 1, session.getSource(itemId))
+      : [];
+
+    if (logResult.becameComplete) {
+      user.completeTask(session.getSource(itemId));
+    }
+    session.recordGrant(itemId, xpResults, logResult.becameComplete);
+
+    const completionResults = this.checkRoutineCompletion(routine, session, user);
+    const reopenResults = this.checkRoutineReopen(routine, session, user);
+
+    this.saveSession(routineId, session);
+
+    return {
+      item,
+      xpResults,
+      revokedResults: [...revokedResults, ...(reopenResults || [])],
+      session,
+      amount: session.getItemAmount(itemId),
+      isRoutineComplete: session.isComplete(routine),
+      routineCompleted: completionResults !== null,
+      completionResults: completionResults || [],
+      routineReopened: reopenResults !== null
     };
   }
 
   /**
    * Uncomplete an item in a routine session
+   * Rolls back the XP (including streak bonus and level ups) and task credit
+   * the completion granted, and the routine completion if it falls below complete
+   * @throws {ItemRequiredError} - If completed items depend on it (uncheck those first)
    */
-  uncompleteItem(routineId, itemId) {
+  uncompleteItem(routineId, itemId, user) {
     const routine = this.getRoutine(routineId);
     const session = this.getSession(routineId);
     const item = routine.getItem(itemId);
@@ -142,15 +679,31 @@ export class RoutineManager {
       return null;
     }
 
+    // Unchecking a quantitative item clears its logged amount
+    if (Routine.isQuantitative(item)) {
+      return this.logItemAmount(routineId, itemId, 0, user);
+    }
+
+    if (!session.isItemCompleted(itemId)) {
+      return { item, session, revokedResults: [], routineReopened: false };
+    }
+
+    this.assertNotRequired(this.getEffectiveRoutine(routineId), session, item);
+
     // Mark item as uncompleted
-    session.uncompleteItem(itemId, item.skillRewards);
+    session.uncompleteItem(itemId, item.skillRewards, { bonus: Routine.isOptional(item) });
+
+    const revokedResults = this.revokeItemGrant(session, itemId, user);
+    const reopenResults = this.checkRoutineReopen(this.getEffectiveRoutine(routineId), session, user);
 
     // Save session
     this.saveSession(routineId, session);
 
     return {
       item,
-      session
+      session,
+      revokedResults: [...revokedResults, ...(reopenResults || [])],
+      routineReopened: reopenResults !== null
     };
   }
 
@@ -158,11 +711,20 @@ export class RoutineManager {
    * Get progress for a routine session
    */
   getProgress(routineId, date = null) {
-    const routine = this.getRoutine(routineId);
+    const routine = this.getEffectiveRoutine(routineId, date);
     const session = this.getSession(routineId, date);
     return session.getProgress(routine);
   }
 
+  /**
+   * Get planned-vs-actual timing for a routine session
+   */
+  getTimingBreakdown(routineId, date = null) {
+    const routine = this.getEffectiveRoutine(routineId, date);
+    const session = this.getSession(routineId, date);
+    return session.getTimingBreakdown(routine);
+  }
+
   /**
    * Reset a routine session
    */
@@ -173,24 +735,57 @@ export class RoutineManager {
     return session;
   }
 
+  /**
+   * Get every stored session of the loaded routines (sessions in memory
+   * take precedence over their saved copies)
+   * Storage is only read the first time, or after the routines changed;
+   * saveSession keeps the history up to date in between
+   */
+  getSessionHistory() {
+    const routines = this.getAllRoutines();
+    const cached = this.sessionHistory;
+    if (cached && cached.routines.size === routines.length &&
+        routines.every(routine => cached.routines.get(routine.id) === routine)) {
+      cached.setToday(DateKey.today());
+      return cached;
+    }
+
+    const sessions = new Map();
+    for (const [key, data] of Object.entries(this.storageManager.loadAllSessionsLocal())) {
+      const routine = this.getRoutine(data.routineId);
+      if (routine) {
+        sessions.set(key, RoutineSession.fromJSON(data, routine));
+      }
+    }
+    for (const [key, session] of this.sessions) {
+      sessions.set(key, session);
+    }
+    this.sessionHistory = new SessionHistory([...sessions.values()], routines);
+    return this.sessionHistory;
+  }
+
   /**
    * Get completion history for a routine
+   * Days the routine wasn't scheduled are never counted as missed
    */
   getCompletionHistory(routineId, days = 7) {
     const history = [];
-    const today = new Date();
+    const today = DateKey.today();
+    const routine = this.getRoutine(routineId);
 
     for (let i = 0; i < days; i++) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
+      const date = DateKey.addDays(today, -i);
 
       const session = this.getSession(routineId, date);
-      const routine = this.getRoutine(routineId);
+      const scheduled = routine.isScheduledOn(DateKey.toDay(date));
+      const completed = session.status === 'completed';
 
       history.push({
-        date: date.toDateString(),
-        completed: session.status === 'completed',
-        progress: session.getProgress(routine)
+        date,
+        scheduled,
+        completed,
+        missed: scheduled && !completed && i > 0,
+        progress: session.getProgress(this.getEffectiveRoutine(routineId, date))
       });
     }
 
@@ -3,13 +3,48 @@
  * Handles data persistence using LocalStorage and Firebase
  */
 
+import { DateKey } from '../models/DateKey.js';
+
 export class StorageManager {
   constructor() {
     this.storageKey = 'rutina_user_data';
     this.sessionKey = 'rutina_sessions';
+    this.customRoutinesKey = 'rutina_custom_routines';
+    this.ledgerKey = 'rutina_xp_ledger'; // Index; events are stored in `${ledgerKey}_${n}` chunks
     this.firebaseEnabled = false;
     this.db = null;
     this.auth = null;
+
+    // Ledger events already stored, so a save only rewrites the chunks that grew
+    this.ledgerSaved = { local: 0, firebase: 0 };
+  }
+
+  /**
+   * Events per stored ledger chunk: the ledger is append-only, so full chunks
+   * are written once and every later save only touches the last one (and
+   * each chunk stays far below Firestore's 1 MB document limit)
+   */
+  static LEDGER_CHUNK_SIZE = 500;
+
+  /**
+   * Chunks to (re)write for a ledger
+   * @param {number} saved - Events already stored
+   * @returns {array} - [{ index, events }] from the chunk holding the first unsaved event
+   */
+  static getLedgerChunks(events, saved = 0) {
+    const size = StorageManager.LEDGER_CHUNK_SIZE;
+    const chunks = [];
+    for (let index = Math.floor(saved / size); index * size < events.length; index++) {
+      chunks.push({ index, events: events.slice(index * size, (index + 1) * size) });
+    }
+    return chunks;
+  }
+
+  /**
+   * Index stored next to the ledger chunks
+   */
+  static getLedgerIndex(events) {
+    return { version: 2, chunkSize: StorageManager.LEDGER_CHUNK_SIZE, count: events.length };
   }
 
   /**
@@ -69,9 +104,7 @@ export class StorageManager {
   saveSessionLocal(routineId, session) {
     try {
       const sessions = this.loadAllSessionsLocal();
-      const today = new Date().toDateString();
-      const key = `${routineId}_${today}`;
-      sessions[key] = session.toJSON();
+      sessions[`${routineId}_${session.date}`] = session.toJSON();
       localStorage.setItem(this.sessionKey, JSON.stringify(sessions));
       return true;
     } catch (error) {
@@ -86,9 +119,7 @@ export class StorageManager {
   loadSessionLocal(routineId, date = null) {
     try {
       const sessions = this.loadAllSessionsLocal();
-      const dateStr = date ? new Date(date).toDateString() : new Date().toDateString();
-      const key = `${routineId}_${dateStr}`;
-      return sessions[key] || null;
+      return sessions[`${routineId}_${DateKey.from(date)}`] || null;
     } catch (error) {
       console.error('Error loading session from LocalStorage:', error);
       return null;
@@ -96,18 +127,111 @@ export class StorageManager {
   }
 
   /**
-   * Load all sessions from LocalStorage
+   * Load all sessions from LocalStorage, keyed `${routineId}_${YYYY-MM-DD}`
    */
   loadAllSessionsLocal() {
     try {
       const data = localStorage.getItem(this.sessionKey);
-      return data ? JSON.parse(data) : {};
+      return data ? this.migrateSessionKeys(JSON.parse(data)) : {};
     } catch (error) {
       console.error('Error loading sessions from LocalStorage:', error);
       return {};
     }
   }
 
+  /**
+   * Save custom routines to LocalStorage
+   * @param {array} routines - Serialized routine data
+   */
+  saveCustomRoutinesLocal(routines) {
+    try {
+      localStorage.setItem(this.customRoutinesKey, JSON.stringify(routines));
+      return true;
+    } catch (error) {
+      console.error('Error saving custom routines to LocalStorage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load custom routines from LocalStorage
+   */
+  loadCustomRoutinesLocal() {
+    try {
+      const data = localStorage.getItem(this.customRoutinesKey);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Error loading custom routines from LocalStorage:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save XP ledger to LocalStorage (only the chunks with new events)
+   */
+  saveLedgerLocal(ledger) {
+    try {
+      const { events } = ledger;
+      const saved = this.ledgerSaved.local <= events.length ? this.ledgerSaved.local : 0;
+      const chunks = StorageManager.getLedgerChunks(events, saved);
+
+      for (const chunk of chunks) {
+        localStorage.setItem(`${this.ledgerKey}_${chunk.index}`, JSON.stringify(chunk.events));
+      }
+      // A rewrite from scratch may leave chunks of a longer ledger behind
+      if (saved === 0) {
+        for (let index = chunks.length; localStorage.getItem(`${this.ledgerKey}_${index}`) !== null; index++) {
+          localStorage.removeItem(`${this.ledgerKey}_${index}`);
+        }
+      }
+      localStorage.setItem(this.ledgerKey, JSON.stringify(StorageManager.getLedgerIndex(events)));
+
+      this.ledgerSaved.local = events.length;
+      return true;
+    } catch (error) {
+      console.error('Error saving XP ledger to LocalStorage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load XP ledger data from LocalStorage
+   * Ledgers saved before chunking are stored whole under the index key
+   */
+  loadLedgerLocal() {
+    try {
+      const data = localStorage.getItem(this.ledgerKey);
+      if (!data) return null;
+
+      const index = JSON.parse(data);
+      if (index.events) {
+        this.ledgerSaved.local = 0;
+        return index;
+      }
+
+      const events = [];
+      for (let chunk = 0; chunk * index.chunkSize < index.count; chunk++) {
+        events.push(...JSON.parse(localStorage.getItem(`${this.ledgerKey}_${chunk}`) || '[]'));
+      }
+      this.ledgerSaved.local = index.chunkSize === StorageManager.LEDGER_CHUNK_SIZE ? events.length : 0;
+      return { version: 1, events: events.slice(0, index.count) };
+    } catch (error) {
+      console.error('Error loading XP ledger from LocalStorage:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the XP ledger from LocalStorage
+   */
+  clearLedgerLocal() {
+    for (let index = 0; localStorage.getItem(`${this.ledgerKey}_${index}`) !== null; index++) {
+      localStorage.removeItem(`${this.ledgerKey}_${index}`);
+    }
+    localStorage.removeItem(this.ledgerKey);
+    this.ledgerSaved.local = 0;
+  }
+
   /**
    * Clear all LocalStorage data
    */
@@ -115,6 +239,8 @@ export class StorageManager {
     try {
       localStorage.removeItem(this.storageKey);
       localStorage.removeItem(this.sessionKey);
+      localStorage.removeItem(this.customRoutinesKey);
+      this.clearLedgerLocal();
       return true;
     } catch (error) {
       console.error('Error clearing LocalStorage:', error);
@@ -164,6 +290,33 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Rewrite sessions saved under Date.toDateString() keys
+   * (`${routineId}_Mon Oct 19 2026`) to date keys, once
+   */
+  migrateSessionKeys(sessions) {
+    const migrated = {};
+    let changed = false;
+
+    for (const [key, session] of Object.entries(sessions)) {
+      const split = key.lastIndexOf('_');
+      const day = key.slice(split + 1);
+      if (DateKey.isKey(day)) {
+        migrated[key] = session;
+        continue;
+      }
+
+      const dateKey = DateKey.from(day);
+      migrated[`${key.slice(0, split)}_${dateKey}`] = { ...session, date: dateKey };
+      changed = true;
+    }
+
+    if (changed) {
+      localStorage.setItem(this.sessionKey, JSON.stringify(migrated));
+    }
+    return migrated;
+  }
+
   /**
    * Save session to Firebase
    */
@@ -175,8 +328,7 @@ export class StorageManager {
     try {
       const { doc, setDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
       const userId = this.auth.currentUser.uid;
-      const today = new Date().toDateString();
-      const sessionRef = doc(this.db, `users/${userId}/sessions/${routineId}_${today}`);
+      const sessionRef = doc(this.db, `users/${userId}/sessions/${routineId}_${session.date}`);
       await setDoc(sessionRef, session.toJSON());
       return true;
     } catch (error) {
@@ -185,12 +337,163 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Save custom routines to Firebase
+   */
+  async saveCustomRoutinesFirebase(routines) {
+    if (!this.firebaseEnabled || !this.auth?.currentUser) {
+      return false;
+    }
+
+    try {
+      const { doc, setDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+      const userId = this.auth.currentUser.uid;
+      const routinesRef = doc(this.db, `users/${userId}/routines/custom`);
+      await setDoc(routinesRef, { routines });
+      return true;
+    } catch (error) {
+      console.error('Error saving custom routines to Firebase:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load custom routines from Firebase
+   */
+  async loadCustomRoutinesFirebase() {
+    if (!this.firebaseEnabled || !this.auth?.currentUser) {
+      return null;
+    }
+
+    try {
+      const { doc, getDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+      const userId = this.auth.currentUser.uid;
+      const routinesRef = doc(this.db, `users/${userId}/routines/custom`);
+      const docSnap = await getDoc(routinesRef);
+
+      if (docSnap.exists()) {
+        return docSnap.data().routines || [];
+      }
+      return null;
+    } catch (error) {
+      console.error('Error loading custom routines from Firebase:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save XP ledger to Firebase, one document per chunk under users/{uid}/ledger
+   * (only the chunks with new events are written)
+   */
+  async saveLedgerFirebase(ledger) {
+    if (!this.firebaseEnabled || !this.auth?.currentUser) {
+      return false;
+    }
+
+    try {
+      const { doc, setDoc, deleteDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+      const userId = this.auth.currentUser.uid;
+      const { events } = ledger;
+      const saved = this.ledgerSaved.firebase <= events.length ? this.ledgerSaved.firebase : 0;
+
+      for (const chunk of StorageManager.getLedgerChunks(events, saved)) {
+        await setDoc(doc(this.db, `users/${userId}/ledger/chunk-${chunk.index}`), { events: chunk.events });
+      }
+      await setDoc(doc(this.db, `users/${userId}/ledger/index`), StorageManager.getLedgerIndex(events));
+
+      // The whole ledger used to be a single document
+      if (saved === 0) {
+        await deleteDoc(doc(this.db, `users/${userId}/ledger/events`));
+      }
+
+      this.ledgerSaved.firebase = events.length;
+      return true;
+    } catch (error) {
+      console.error('Error saving XP ledger to Firebase:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load XP ledger data from Firebase
+   */
+  async loadLedgerFirebase() {
+    if (!this.firebaseEnabled || !this.auth?.currentUser) {
+      return null;
+    }
+
+    try {
+      const { doc, getDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+      const userId = this.auth.currentUser.uid;
+      const indexSnap = await getDoc(doc(this.db, `users/${userId}/ledger/index`));
+
+      if (indexSnap.exists()) {
+        const index = indexSnap.data();
+        const events = [];
+        for (let chunk = 0; chunk * index.chunkSize < index.count; chunk++) {
+          const chunkSnap = await getDoc(doc(this.db, `users/${userId}/ledger/chunk-${chunk}`));
+          events.push(...(chunkSnap.exists() ? chunkSnap.data().events : []));
+        }
+        this.ledgerSaved.firebase = index.chunkSize === StorageManager.LEDGER_CHUNK_SIZE ? events.length : 0;
+        return { version: 1, events: events.slice(0, index.count) };
+      }
+
+      // Ledger saved before chunking
+      const legacySnap = await getDoc(doc(this.db, `users/${userId}/ledger/events`));
+      this.ledgerSaved.firebase = 0;
+      return legacySnap.exists() ? legacySnap.data() : null;
+    } catch (error) {
+      console.error('Error loading XP ledger from Firebase:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load XP ledger data (prefer Firebase, fallback to LocalStorage)
+   */
+  async loadLedger() {
+    if (this.firebaseEnabled && this.auth?.currentUser) {
+      const firebaseLedger = await this.loadLedgerFirebase();
+      if (firebaseLedger) {
+        return firebaseLedger;
+      }
+    }
+
+    return this.loadLedgerLocal();
+  }
+
+  /**
+   * Save custom routines to LocalStorage and Firebase
+   */
+  async saveCustomRoutines(routines) {
+    this.saveCustomRoutinesLocal(routines);
+
+    if (this.firebaseEnabled && this.auth?.currentUser) {
+      await this.saveCustomRoutinesFirebase(routines);
+    }
+  }
+
+  /**
+   * Load custom routines (prefer Firebase, fallback to LocalStorage)
+   */
+  async loadCustomRoutines() {
+    if (this.firebaseEnabled && this.auth?.currentUser) {
+      const firebaseRoutines = await this.loadCustomRoutinesFirebase();
+      if (firebaseRoutines) {
+        return firebaseRoutines;
+      }
+    }
+
+    return this.loadCustomRoutinesLocal();
+  }
+
   /**
    * Auto-save with both LocalStorage and Firebase
    */
   async save(user, sessions = []) {
     // Always save to LocalStorage
     this.saveUserLocal(user);
+    this.saveLedgerLocal(user.ledger);
 
     for (const { routineId, session } of sessions) {
       this.saveSessionLocal(routineId, session);
@@ -199,6 +502,7 @@ export class StorageManager {
     // Try Firebase if enabled
     if (this.firebaseEnabled && this.auth?.currentUser) {
       await this.saveUserFirebase(user);
+      await this.saveLedgerFirebase(user.ledger);
       for (const { routineId, session } of sessions) {
         await this.saveSessionFirebase(routineId, session);
       }
@@ -228,6 +532,8 @@ export class StorageManager {
     return {
       user: this.loadUserLocal(),
       sessions: this.loadAllSessionsLocal(),
+      customRoutines: this.loadCustomRoutinesLocal(),
+      ledger: this.loadLedgerLocal(),
       exportedAt: new Date().toISOString()
     };
   }
@@ -239,10 +545,19 @@ export class StorageManager {
     try {
       if (data.user) {
         localStorage.setItem(this.storageKey, JSON.stringify(data.user));
+
+        // A ledger from another profile would replay into the wrong totals
+        this.clearLedgerLocal();
+        if (data.ledger) {
+          this.saveLedgerLocal({ events: data.ledger.events || [] });
+        }
       }
       if (data.sessions) {
         localStorage.setItem(this.sessionKey, JSON.stringify(data.sessions));
       }
+      if (data.customRoutines) {
+        localStorage.setItem(this.customRoutinesKey, JSON.stringify(data.customRoutines));
+      }
       return true;
     } catch (error) {
       console.error('Error importing data:', error);
@@ -1,36 +1,66 @@
 /**
  * Achievement Class
  * Defines achievements and tracks unlock conditions
+ * Definitions are plain data so they can be stored, synced and written by
+ * users; AchievementManager compiles their conditions into checks
  */
 
 export class Achievement {
-  constructor(id, name, description, icon, condition) {
+  /**
+   * @param {object} definition - { id, name, description, icon, category, condition, secret, custom }
+   */
+  constructor({ id, name, description, icon, category = 'other', condition, secret = false, custom = false }) {
     this.id = id;
     this.name = name;
     this.description = description;
     this.icon = icon;
-    this.condition = condition; // Function that checks if achievement is unlocked
-    this.unlockedAt = null;
+    this.category = category;
+    this.condition = condition; // Declarative condition (see AchievementManager.compileCondition)
+    this.secret = secret; // Name, description and progress stay hidden until unlocked
+    this.custom = custom; // Created by the user
+    this.unlocked = false;
+    this.unlockedAt = null; // null if unlocked before unlock times were recorded
+    this.unlockContext = null; // See User.getUnlockContext()
   }
 
   /**
    * Check if achievement is unlocked
    */
   isUnlocked() {
-    return this.unlockedAt !== null;
+    return this.unlocked;
   }
 
   /**
    * Unlock the achievement
+   * @param {string|null} unlockedAt - When it was earned (restored unlocks keep their original time)
+   * @param {object|null} context - What was going on when it was earned
    */
-  unlock() {
+  unlock(unlockedAt = new Date().toISOString(), context = null) {
     if (!this.isUnlocked()) {
-      this.unlockedAt = new Date().toISOString();
+      this.unlocked = true;
+      this.unlockedAt = unlockedAt;
+      this.unlockContext = context;
       return true;
     }
     return false;
   }
 
+  /**
+   * Get the definition the achievement was created from
+   */
+  getDefinition() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      icon: this.icon,
+      category: this.category,
+      condition: this.condition,
+      secret: this.secret,
+      custom: this.custom
+    };
+  }
+
   /**
    * Serialize achievement data
    */
@@ -40,13 +70,17 @@ export class Achievement {
       name: this.name,
       description: this.description,
       icon: this.icon,
-      unlockedAt: this.unlockedAt
+      unlockedAt: this.unlockedAt,
+      unlockContext: this.unlockContext
     };
   }
 }
 
 /**
  * Predefined Achievements
+ * Skill conditions look at active skills only: archived skills don't hold
+ * "all skills" back, custom skills count like built-in ones
+ * Secret achievements are listed without name or description until unlocked
  */
 export const ACHIEVEMENTS = [
   // First Steps
@@ -55,14 +89,16 @@ export const ACHIEVEMENTS = [
     name: 'First Steps',
     description: 'Complete your first routine',
     icon: '🎯',
-    condition: (user) => user.stats.totalRoutinesCompleted >= 1
+    category: 'other',
+    condition: { metric: 'routinesCompleted', value: 1 }
   },
   {
     id: 'first-task',
     name: 'Getting Started',
     description: 'Complete your first task',
     icon: '✅',
-    condition: (user) => user.stats.totalTasksCompleted >= 1
+    category: 'other',
+    condition: { metric: 'tasksCompleted', value: 1 }
   },
 
   // Streak Achievements
@@ -71,42 +107,48 @@ export const ACHIEVEMENTS = [
     name: 'Consistent',
     description: 'Maintain a 5-day streak',
     icon: '🔥',
-    condition: (user) => user.streak.current >= 5
+    category: 'streak',
+    condition: { metric: 'streak', value: 5 }
   },
   {
     id: 'streak-7',
     name: 'Week Warrior',
     description: 'Maintain a 7-day streak',
     icon: '🔥',
-    condition: (user) => user.streak.current >= 7
+    category: 'streak',
+    condition: { metric: 'streak', value: 7 }
   },
   {
     id: 'streak-15',
     name: 'Two Weeks Strong',
     description: 'Maintain a 15-day streak',
     icon: '🔥🔥',
-    condition: (user) => user.streak.current >= 15
+    category: 'streak',
+    condition: { metric: 'streak', value: 15 }
   },
   {
     id: 'streak-25',
     name: 'Dedicated',
     description: 'Maintain a 25-day streak',
     icon: '🔥🔥',
-    condition: (user) => user.streak.current >= 25
+    category: 'streak',
+    condition: { metric: 'streak', value: 25 }
   },
   {
     id: 'streak-100',
     name: 'Unstoppable',
     description: 'Maintain a 100-day streak',
     icon: '🔥🔥🔥',
-    condition: (user) => user.streak.current >= 100
+    category: 'streak',
+    condition: { metric: 'streak', value: 100 }
   },
   {
     id: 'streak-1000',
     name: 'Legend',
     description: 'Maintain a 1000-day streak',
     icon: '🔥🔥🔥🔥🔥',
-    condition: (user) => user.streak.current >= 1000
+    category: 'streak',
+    condition: { metric: 'streak', value: 1000 }
   },
 
   // Routine Completions
@@ -115,28 +157,32 @@ export const ACHIEVEMENTS = [
     name: 'Building Habits',
     description: 'Complete 10 routines',
     icon: '📈',
-    condition: (user) => user.stats.totalRoutinesCompleted >= 10
+    category: 'routine',
+    condition: { metric: 'routinesCompleted', value: 10 }
   },
   {
     id: 'routine-25',
     name: 'Habit Master',
     description: 'Complete 25 routines',
     icon: '📈',
-    condition: (user) => user.stats.totalRoutinesCompleted >= 25
+    category: 'routine',
+    condition: { metric: 'routinesCompleted', value: 25 }
   },
   {
     id: 'routine-50',
     name: 'Routine Expert',
     description: 'Complete 50 routines',
     icon: '🏆',
-    condition: (user) => user.stats.totalRoutinesCompleted >= 50
+    category: 'routine',
+    condition: { metric: 'routinesCompleted', value: 50 }
   },
   {
     id: 'routine-100',
     name: 'Century',
     description: 'Complete 100 routines',
     icon: '🏆',
-    condition: (user) => user.stats.totalRoutinesCompleted >= 100
+    category: 'routine',
+    condition: { metric: 'routinesCompleted', value: 100 }
   },
 
   // Skill Level Achievements
@@ -145,58 +191,66 @@ export const ACHIEVEMENTS = [
     name: 'Novice',
     description: 'Reach level 10 in any skill',
     icon: '⭐',
-    condition: (user) => Object.values(user.skills).some(s => s.level >= 10)
+    category: 'skill',
+    condition: { skills: 'any', metric: 'level', value: 10 }
   },
   {
     id: 'skill-level-25',
     name: 'Skilled',
     description: 'Reach level 25 in any skill',
     icon: '⭐⭐',
-    condition: (user) => Object.values(user.skills).some(s => s.level >= 25)
+    category: 'skill',
+    condition: { skills: 'any', metric: 'level', value: 25 }
   },
   {
     id: 'skill-level-50',
     name: 'Advanced',
     description: 'Reach level 50 in any skill',
     icon: '⭐⭐⭐',
-    condition: (user) => Object.values(user.skills).some(s => s.level >= 50)
+    category: 'skill',
+    condition: { skills: 'any', metric: 'level', value: 50 }
   },
   {
     id: 'skill-level-75',
     name: 'Expert',
     description: 'Reach level 75 in any skill',
     icon: '🌟',
-    condition: (user) => Object.values(user.skills).some(s => s.level >= 75)
+    category: 'skill',
+    condition: { skills: 'any', metric: 'level', value: 75 }
   },
   {
     id: 'skill-level-100',
     name: 'Mastery',
     description: 'Reach level 100 in any skill',
     icon: '💎',
-    condition: (user) => Object.values(user.skills).some(s => s.level >= 100)
+    category: 'skill',
+    condition: { skills: 'any', metric: 'level', value: 100 }
   },
 
   // All Skills
   {
     id: 'all-skills-10',
     name: 'Well Rounded',
-    description: 'Reach level 10 in all skills',
+    description: 'Reach level 10 in all active skills',
     icon: '🎯',
-    condition: (user) => Object.values(user.skills).every(s => s.level >= 10)
+    category: 'skill',
+    condition: { skills: 'all', metric: 'level', value: 10 }
   },
   {
     id: 'all-skills-25',
     name: 'Balanced',
-    description: 'Reach level 25 in all skills',
+    description: 'Reach level 25 in all active skills',
     icon: '⚖️',
-    condition: (user) => Object.values(user.skills).every(s => s.level >= 25)
+    category: 'skill',
+    condition: { skills: 'all', metric: 'level', value: 25 }
   },
   {
     id: 'all-skills-50',
     name: 'Renaissance',
-    description: 'Reach level 50 in all skills',
+    description: 'Reach level 50 in all active skills',
     icon: '👑',
-    condition: (user) => Object.values(user.skills).every(s => s.level >= 50)
+    category: 'skill',
+    condition: { skills: 'all', metric: 'level', value: 50 }
   },
 
   // Prestige
@@ -205,14 +259,16 @@ export const ACHIEVEMENTS = [
     name: 'New Game+',
     description: 'Prestige a skill for the first time',
     icon: '🌠',
-    condition: (user) => Object.values(user.skills).some(s => s.prestige >= 1)
+    category: 'skill',
+    condition: { skills: 'any', metric: 'prestige', value: 1 }
   },
   {
     id: 'prestige-5',
     name: 'Eternal Student',
     description: 'Reach prestige 5 in any skill',
     icon: '♾️',
-    condition: (user) => Object.values(user.skills).some(s => s.prestige >= 5)
+    category: 'skill',
+    condition: { skills: 'any', metric: 'prestige', value: 5 }
   },
 
   // XP Milestones
@@ -221,21 +277,24 @@ export const ACHIEVEMENTS = [
     name: 'XP Collector',
     description: 'Earn 1,000 total XP',
     icon: '💫',
-    condition: (user) => user.stats.totalXPEarned >= 1000
+    category: 'xp',
+    condition: { metric: 'xpEarned', value: 1000 }
   },
   {
     id: 'xp-10000',
     name: 'XP Hoarder',
     description: 'Earn 10,000 total XP',
     icon: '✨',
-    condition: (user) => user.stats.totalXPEarned >= 10000
+    category: 'xp',
+    condition: { metric: 'xpEarned', value: 10000 }
   },
   {
     id: 'xp-50000',
     name: 'XP Master',
     description: 'Earn 50,000 total XP',
     icon: '🌟',
-    condition: (user) => user.stats.totalXPEarned >= 50000
+    category: 'xp',
+    condition: { metric: 'xpEarned', value: 50000 }
   },
 
   // Tasks
@@ -244,20 +303,59 @@ export const ACHIEVEMENTS = [
     name: 'Task Warrior',
     description: 'Complete 100 tasks',
     icon: '⚔️',
-    condition: (user) => user.stats.totalTasksCompleted >= 100
+    category: 'task',
+    condition: { metric: 'tasksCompleted', value: 100 }
   },
   {
     id: 'tasks-500',
     name: 'Task Champion',
     description: 'Complete 500 tasks',
     icon: '🏅',
-    condition: (user) => user.stats.totalTasksCompleted >= 500
+    category: 'task',
+    condition: { metric: 'tasksCompleted', value: 500 }
   },
   {
     id: 'tasks-1000',
     name: 'Task Legend',
     description: 'Complete 1,000 tasks',
     icon: '👑',
-    condition: (user) => user.stats.totalTasksCompleted >= 1000
+    category: 'task',
+    condition: { metric: 'tasksCompleted', value: 1000 }
+  },
+
+  // Session History
+  {
+    id: 'early-bird',
+    name: 'Early Bird',
+    description: 'Start the morning routine on time 5 scheduled days in a row',
+    icon: '🌅',
+    category: 'routine',
+    condition: { metric: 'onTimeRun', routineId: 'morning-routine', value: 5 }
+  },
+  {
+    id: 'perfect-week',
+    name: 'Perfect Week',
+    description: 'Complete every scheduled routine 7 days in a row',
+    icon: '🗓️',
+    category: 'streak',
+    condition: { metric: 'perfectDayRun', value: 7 }
+  },
+  {
+    id: 'ahead-of-schedule',
+    name: 'Ahead of Schedule',
+    description: 'Finish a routine in less time than planned',
+    icon: '⏱️',
+    category: 'routine',
+    secret: true,
+    condition: { metric: 'underTimeCompletions', value: 1 }
+  },
+  {
+    id: 'renaissance-day',
+    name: 'Renaissance Day',
+    description: 'Train every skill in a single day',
+    icon: '🎨',
+    category: 'skill',
+    secret: true,
+    condition: { metric: 'allSkillDays', value: 1 }
   }
 ];
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Condition
+ * `when` blocks on sections and items deciding which variant of a routine applies
+ */
+
+import { Schedule } from './Schedule.js';
+
+export class Condition {
+  /**
+   * Supported keys of a `when` block:
+   *   days:     ['sat', 'sun']          - only on these days of the week
+   *   from, to: '2024-07-01'            - only within this date range (inclusive)
+   *   modes:    ['travel']              - only while one of these modes is on
+   *   notModes: ['travel']              - only while none of these modes is on
+   */
+  static KEYS = ['days', 'from', 'to', 'modes', 'notModes'];
+
+  /**
+   * Check if a `when` block applies
+   * @param {object|undefined} when - Condition block (missing means always)
+   * @param {object} context - { date: Date, modes: array of active mode names }
+   */
+  static matches(when, context) {
+    if (!when) return true;
+
+    const date = context.date || new Date();
+    const modes = context.modes || [];
+
+    if (when.days && !when.days.includes(Schedule.DAYS[date.getDay()])) {
+      return false;
+    }
+    if (when.from && Schedule.daysBetween(Schedule.parseDate(when.from), date) < 0) {
+      return false;
+    }
+    if (when.to && Schedule.daysBetween(date, Schedule.parseDate(when.to)) < 0) {
+      return false;
+    }
+    if (when.modes && !when.modes.some(mode => modes.includes(mode))) {
+      return false;
+    }
+    if (when.notModes && when.notModes.some(mode => modes.includes(mode))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if a `when` block depends on the active modes
+   */
+  static usesModes(when) {
+    return Boolean(when && (when.modes || when.notModes));
+  }
+
+  /**
+   * Mode names a `when` block refers to
+   */
+  static getModes(when) {
+    if (!when) return [];
+    return [...(when.modes || []), ...(when.notModes || [])];
+  }
+
+  /**
+   * Human readable description of a `when` block
+   */
+  static describe(when) {
+    if (!when) return '';
+
+    const parts = [];
+    if (when.days) {
+      parts.push(when.days.map(day => Schedule.DAY_NAMES[day]).join(', '));
+    }
+    if (when.from && when.to) {
+      parts.push(`${when.from} – ${when.to}`);
+    } else if (when.from) {
+      parts.push(`from ${when.from}`);
+    } else if (when.to) {
+      parts.push(`until ${when.to}`);
+    }
+    if (when.modes) {
+      parts.push(`${when.modes.join(' or ')} mode`);
+    }
+    if (when.notModes) {
+      parts.push(`not in ${when.notModes.join(' or ')} mode`);
+    }
+    return parts.join(' · ');
+  }
+}
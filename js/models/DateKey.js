@@ -0,0 +1,189 @@
+/**
+ * DateKey
+ * The one place that decides which day something happened on. Days are
+ * YYYY-MM-DD keys in the user's home time zone, and a day runs from the
+ * rollover hour to the same hour the next morning, so an evening routine
+ * finished at 00:30 still counts for the evening it belongs to.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+export class DateKey {
+  /**
+   * Active day settings (see configure())
+   *   dayStartHour: hour (0-12) the day rolls over at
+   *   timeZone:     IANA home time zone, null for the device's
+   */
+  static settings = { dayStartHour: 0, timeZone: null };
+
+  /**
+   * Latest rollover hour that can be configured
+   */
+  static MAX_DAY_START_HOUR = 12;
+
+  /**
+   * Use the user's day settings from now on
+   * @throws {Error} - If the settings are invalid
+   */
+  static configure({ dayStartHour = 0, timeZone = null } = {}) {
+    DateKey.validate({ dayStartHour, timeZone });
+    DateKey.settings = { dayStartHour, timeZone };
+  }
+
+  /**
+   * Reject day settings that can't be used
+   * @throws {Error}
+   */
+  static validate({ dayStartHour = 0, timeZone = null } = {}) {
+    if (!Number.isInteger(dayStartHour) || dayStartHour < 0 || dayStartHour > DateKey.MAX_DAY_START_HOUR) {
+      throw new Error(`The day has to start between 0:00 and ${DateKey.MAX_DAY_START_HOUR}:00`);
+    }
+    if (timeZone !== null && !DateKey.isValidTimeZone(timeZone)) {
+      throw new Error(`Unknown time zone "${timeZone}"`);
+    }
+  }
+
+  /**
+   * Check if a time zone name is known to the browser
+   */
+  static isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Time zone the device is currently in
+   */
+  static getDeviceTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  }
+
+  /**
+   * Check if a value is a YYYY-MM-DD key
+   */
+  static isKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  }
+
+  /**
+   * Day an instant belongs to, in the home time zone after the rollover hour
+   * @param {Date|string} instant - Date or ISO timestamp
+   */
+  static of(instant = new Date()) {
+    const wallClock = DateKey.getWallClock(new Date(instant));
+    return DateKey.fromUTC(new Date(wallClock - DateKey.settings.dayStartHour * MS_PER_HOUR));
+  }
+
+  /**
+   * Today's key
+   */
+  static today(now = new Date()) {
+    return DateKey.of(now);
+  }
+
+  /**
+   * Key of a calendar day: keys are returned as they are, Dates are read as
+   * local calendar days (like Schedule.parseDate() returns), nothing means today.
+   * Use of() for moments in time.
+   */
+  static from(value = null) {
+    if (value === null || value === undefined) return DateKey.today();
+    if (DateKey.isKey(value)) return value;
+
+    const date = new Date(value);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Local midnight Date of a day, for schedule and condition checks
+   */
+  static toDay(key = DateKey.today()) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Key a number of days later (or earlier, if negative)
+   */
+  static addDays(key, days) {
+    return DateKey.fromUTC(new Date(DateKey.toUTC(key) + days * MS_PER_DAY));
+  }
+
+  /**
+   * Whole days from one key to another
+   */
+  static daysBetween(fromKey, toKey) {
+    return Math.round((DateKey.toUTC(toKey) - DateKey.toUTC(fromKey)) / MS_PER_DAY);
+  }
+
+  /**
+   * Moment a HH:MM time is reached on a day in the home time zone
+   * Times before the rollover hour fall on the next calendar morning
+   */
+  static atTime(key, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const calendarKey = hours < DateKey.settings.dayStartHour ? DateKey.addDays(key, 1) : key;
+    const wallClock = DateKey.toUTC(calendarKey) + hours * MS_PER_HOUR + minutes * 60 * 1000;
+
+    // Wall clock time minus the zone's offset, re-checked once in case the
+    // offset changes (DST) between the guess and the answer
+    let instant = wallClock - DateKey.getOffset(new Date(wallClock));
+    instant = wallClock - DateKey.getOffset(new Date(instant));
+    return new Date(instant);
+  }
+
+  /**
+   * Milliseconds the home time zone is ahead of UTC at an instant
+   */
+  static getOffset(instant) {
+    return DateKey.getWallClock(instant) - Math.floor(instant.getTime() / 60000) * 60000;
+  }
+
+  /**
+   * Wall clock time in the home time zone, as a UTC timestamp with the same
+   * fields (to the minute)
+   */
+  static getWallClock(instant) {
+    const { timeZone } = DateKey.settings;
+    if (!timeZone) {
+      return Date.UTC(instant.getFullYear(), instant.getMonth(), instant.getDate(), instant.getHours(), instant.getMinutes());
+    }
+
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+    for (const { type, value } of format.formatToParts(instant)) {
+      parts[type] = Number(value);
+    }
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  }
+
+  /**
+   * UTC midnight timestamp of a key
+   */
+  static toUTC(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  }
+
+  /**
+   * Key of a Date's UTC calendar day
+   */
+  static fromUTC(date) {
+    return date.toISOString().slice(0, 10);
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * LevelCurve Class
+ * How much XP each level of a skill costs, where leveling stops and what the tiers are called
+ */
+
+export class LevelCurve {
+  /**
+   * Curve config:
+   *   type:      'polynomial' (base * level^exponent),
+   *              'exponential' (base * growth^(level - 1)) or
+   *              'table' (xp[level - 1], the last entry repeats)
+   *   base, exponent, growth, xp: parameters of the type
+   *   maxLevel:  level cap (table curves default to one past the table)
+   *   tiers:     [{ min, name }] ascending by min; defaults to DEFAULT_TIERS
+   *              stretched to maxLevel
+   */
+  constructor(config = LevelCurve.DEFAULT) {
+    this.type = config.type || 'polynomial';
+    this.base = config.base ?? 100;
+    this.exponent = config.exponent ?? 1.5;
+    this.growth = config.growth ?? 1.1;
+    this.xp = config.xp || [];
+    this.maxLevel = config.maxLevel ?? (this.type === 'table' ? this.xp.length + 1 : 100);
+    this.customTiers = Boolean(config.tiers);
+    this.tiers = config.tiers || LevelCurve.scaleTiers(LevelCurve.DEFAULT_TIERS, this.maxLevel);
+
+    this.validate();
+  }
+
+  /**
+   * The original curve: 100 * level^1.5 up to level 100
+   */
+  static DEFAULT = { type: 'polynomial', base: 100, exponent: 1.5, maxLevel: 100 };
+
+  /**
+   * Tier names for a 100 level curve
+   */
+  static DEFAULT_TIERS = [
+    { min: 1, name: 'Beginner' },
+    { min: 11, name: 'Novice' },
+    { min: 26, name: 'Intermediate' },
+    { min: 51, name: 'Advanced' },
+    { min: 76, name: 'Expert' },
+    { min: 100, name: 'Master' }
+  ];
+
+  /**
+   * Stretch tiers defined for 100 levels to another level cap
+   */
+  static scaleTiers(tiers, maxLevel) {
+    if (maxLevel === 100) return tiers;
+    return tiers.map(tier => ({
+      ...tier,
+      min: 1 + Math.round((tier.min - 1) * (maxLevel - 1) / 99)
+    }));
+  }
+
+  /**
+   * Reject configs that can't produce a usable curve
+   * @throws {Error}
+   */
+  validate() {
+    if (!['polynomial', 'exponential', 'table'].includes(this.type)) {
+      throw new Error(`Unknown level curve type "${this.type}"`);
+    }
+    if (!Number.isInteger(this.maxLevel) || this.maxLevel < 2) {
+      throw new Error('Level curve maxLevel must be an integer of at least 2');
+    }
+    if (this.type === 'table' && (this.xp.length === 0 || this.xp.some(xp => !(xp > 0)))) {
+      throw new Error('Table level curves need a non-empty xp list of positive numbers');
+    }
+    if (this.type !== 'table' && !(this.base > 0)) {
+      throw new Error('Level curve base must be positive');
+    }
+    if (this.tiers.length === 0 || this.tiers[0].min !== 1) {
+      throw new Error('Level curve tiers must start at level 1');
+    }
+  }
+
+  /**
+   * XP needed to advance from a level to the next (0 at max level)
+   */
+  getXPForLevel(level) {
+    if (level >= this.maxLevel) return 0;
+
+    switch (this.type) {
+      case 'exponential':
+        return Math.floor(this.base * Math.pow(this.growth, level - 1));
+      case 'table':
+        return Math.floor(this.xp[Math.min(level, this.xp.length) - 1]);
+      default:
+        return Math.floor(this.base * Math.pow(level, this.exponent));
+    }
+  }
+
+  /**
+   * XP needed to get from level 1 to a level
+   */
+  getXPToReach(level) {
+    let total = 0;
+    for (let l = 1; l < Math.min(level, this.maxLevel); l++) {
+      total += this.getXPForLevel(l);
+    }
+    return total;
+  }
+
+  /**
+   * Level reached with an amount of XP earned since level 1
+   * XP past the max level is kept as currentXP, like Skill.gainXP()
+   * @returns {object} - { level, currentXP }
+   */
+  getLevelForXP(xp) {
+    let level = 1;
+    let currentXP = Math.max(0, xp);
+
+    while (level < this.maxLevel && currentXP >= this.getXPForLevel(level)) {
+      currentXP -= this.getXPForLevel(level);
+      level++;
+    }
+
+    return { level, currentXP };
+  }
+
+  /**
+   * Get tier name for a level
+   */
+  getTier(level) {
+    let name = this.tiers[0].name;
+    for (const tier of this.tiers) {
+      if (level >= tier.min) {
+        name = tier.name;
+      }
+    }
+    return name;
+  }
+
+  /**
+   * Lowest level of the tier a level belongs to
+   */
+  getTierFloor(level) {
+    let floor = 1;
+    for (const tier of this.tiers) {
+      if (level >= tier.min) {
+        floor = tier.min;
+      }
+    }
+    return floor;
+  }
+
+  /**
+   * Check if two curves level identically
+   */
+  equals(other) {
+    const leveling = curve => {
+      const { tiers, ...config } = curve.toJSON();
+      return JSON.stringify(config);
+    };
+    return leveling(this) === leveling(other);
+  }
+
+  /**
+   * Serialize curve config
+   */
+  toJSON() {
+    const config = { type: this.type, maxLevel: this.maxLevel };
+
+    if (this.type === 'polynomial') {
+      Object.assign(config, { base: this.base, exponent: this.exponent });
+    } else if (this.type === 'exponential') {
+      Object.assign(config, { base: this.base, growth: this.growth });
+    } else {
+      config.xp = [...this.xp];
+    }
+    if (this.customTiers) {
+      config.tiers = this.tiers;
+    }
+
+    return config;
+  }
+
+  /**
+   * Create LevelCurve from saved config (missing means the default curve)
+   */
+  static fromJSON(config) {
+    return config instanceof LevelCurve ? config : new LevelCurve(config || LevelCurve.DEFAULT);
+  }
+}
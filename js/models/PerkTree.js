@@ -0,0 +1,98 @@
+/**
+ * PerkTree
+ * Perks a skill's prestige points can be spent on. Every skill has its own
+ * copy of the tree; a skill's chosen perks are a { perkId: rank } object.
+ */
+
+export class PerkTree {
+  /**
+   * Perk definitions:
+   *   maxRank:  times the perk can be taken (one point per rank)
+   *   requires: { perkId: rank } needed before the first rank
+   *   effect:   { name, perRank } added up over all ranks, see getEffect()
+   *     xp:          extra XP multiplier for the skill
+   *     streakBonus: the streak bonus is increased by this share for the skill
+   *     spillover:   share of the skill's XP also split among the other active skills
+   *     freezes:     extra streak freezes each month
+   */
+  static PERKS = {
+    focus: {
+      name: 'Focused Training',
+      icon: '🎯',
+      description: '+5% XP in this skill per rank',
+      maxRank: 10,
+      requires: {},
+      effect: { name: 'xp', perRank: 0.05 }
+    },
+    momentum: {
+      name: 'Momentum',
+      icon: '🔥',
+      description: 'Streak bonus is 25% stronger for this skill per rank',
+      maxRank: 4,
+      requires: { focus: 1 },
+      effect: { name: 'streakBonus', perRank: 0.25 }
+    },
+    spillover: {
+      name: 'Spillover',
+      icon: '🌊',
+      description: '10% of XP earned here per rank is shared among your other skills',
+      maxRank: 3,
+      requires: { focus: 1 },
+      effect: { name: 'spillover', perRank: 0.1 }
+    },
+    coldStorage: {
+      name: 'Cold Storage',
+      icon: '🧊',
+      description: '+1 streak freeze each month per rank',
+      maxRank: 2,
+      requires: { momentum: 2 },
+      effect: { name: 'freezes', perRank: 1 }
+    }
+  };
+
+  /**
+   * Total of an effect over the chosen perks
+   */
+  static getEffect(perks, effectName) {
+    let total = 0;
+    for (const [perkId, rank] of Object.entries(perks)) {
+      const perk = PerkTree.PERKS[perkId];
+      if (perk?.effect.name === effectName) {
+        total += perk.effect.perRank * rank;
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Why a perk can't take another rank
+   * @returns {string|null} - Reason, or null if it can
+   */
+  static getLockReason(perks, points, perkId) {
+    const perk = PerkTree.PERKS[perkId];
+    if (!perk) return `Unknown perk "${perkId}"`;
+    if ((perks[perkId] || 0) >= perk.maxRank) return `${perk.name} is at its max rank`;
+
+    for (const [requiredId, rank] of Object.entries(perk.requires)) {
+      if ((perks[requiredId] || 0) < rank) {
+        return `Needs ${PerkTree.PERKS[requiredId].name} rank ${rank}`;
+      }
+    }
+
+    if (points < 1) return 'No perk points left (prestige to earn more)';
+    return null;
+  }
+
+  /**
+   * Perks for a save made when every prestige was a flat +5% XP:
+   * prestiges go into Focused Training so the multiplier is unchanged
+   * @returns {object} - { perks, perkPoints }
+   */
+  static fromPrestige(prestige) {
+    const focus = Math.min(prestige, PerkTree.PERKS.focus.maxRank);
+    return {
+      perks: focus > 0 ? { focus } : {},
+      perkPoints: prestige - focus
+    };
+  }
+}
@@ -3,6 +3,10 @@
  * Represents a daily routine loaded from JSON
  */
 
+import { validateRoutine, parseTimeRange, RoutineValidationError } from './RoutineSchema.js';
+import { Schedule } from './Schedule.js';
+import { Condition } from './Condition.js';
+
 export class Routine {
   constructor(data) {
     this.id = data.id;
@@ -14,14 +18,29 @@ export class Routine {
     this.totalDuration = data.totalDuration;
     this.skillRewards = data.skillRewards || {};
     this.sections = data.sections || [];
+
+    // Recurrence: `type` names the rule, `schedule` holds its options
+    this.schedule = Schedule.fromRoutineData(data);
+
+    // Where the routine comes from: 'bundled' JSON file or 'custom' editor save
+    this.source = data.source || 'bundled';
+
+    // Display metadata from the routine manifest
+    this.group = data.group || null;
+    this.order = data.order ?? null;
+
+    // Set on routines produced by resolve(): which conditional variant applies
+    this.variant = null;
   }
 
   /**
    * Get all items from all sections as flat array
+   * @param {object} context - Optional { date, modes }; limits items to that day's variant
    */
-  getAllItems() {
+  getAllItems(context = null) {
+    const sections = context ? this.getEffectiveSections(context) : this.sections;
     const items = [];
-    for (const section of this.sections) {
+    for (const section of sections) {
       for (const item of section.items) {
         items.push({
           ...item,
@@ -33,6 +52,108 @@ export class Routine {
     return items;
   }
 
+  /**
+   * Get sections and items whose `when` conditions apply in a context
+   * Sections left without items by their item conditions are dropped
+   * @param {object} context - { date, modes }
+   */
+  getEffectiveSections(context) {
+    const sections = [];
+    for (const section of this.sections) {
+      if (!Condition.matches(section.when, context)) continue;
+
+      const items = section.items.filter(item => Condition.matches(item.when, context));
+      if (items.length > 0 || section.items.length === 0) {
+        sections.push({ ...section, items });
+      }
+    }
+    return sections;
+  }
+
+  /**
+   * Get the routine as it applies in a context (that day's variant)
+   * @param {object} context - { date, modes }
+   * @returns {Routine} - Copy with only the matching sections and items, and `variant` set
+   */
+  resolve(context) {
+    const sections = this.getEffectiveSections(context);
+    const hasConditionalSections = this.sections.some(section => section.when);
+    const timed = sections.every(section => typeof section.duration === 'number');
+
+    const routine = new Routine({
+      ...this.toJSON(),
+      sections,
+      totalDuration: hasConditionalSections && timed
+        ? sections.reduce((sum, section) => sum + section.duration, 0)
+        : this.totalDuration,
+      source: this.source,
+      group: this.group,
+      order: this.order
+    });
+    routine.variant = this.getVariant(context);
+    return routine;
+  }
+
+  /**
+   * Describe which variant applies in a context
+   * @returns {object} - { key, modes }: key lists the conditional sections and
+   *   items included ('default' if none), modes the active modes this routine uses
+   */
+  getVariant(context) {
+    const parts = [];
+    for (const section of this.sections) {
+      if (!Condition.matches(section.when, context)) continue;
+      if (section.when) parts.push(section.id);
+
+      for (const item of section.items) {
+        if (item.when && Condition.matches(item.when, context)) {
+          parts.push(item.id);
+        }
+      }
+    }
+
+    const routineModes = this.getModes();
+    return {
+      key: parts.length > 0 ? parts.join('+') : 'default',
+      modes: (context.modes || []).filter(mode => routineModes.includes(mode))
+    };
+  }
+
+  /**
+   * Get mode names referred to by any section or item condition
+   */
+  getModes() {
+    const modes = new Set();
+    for (const section of this.sections) {
+      Condition.getModes(section.when).forEach(mode => modes.add(mode));
+      for (const item of section.items) {
+        Condition.getModes(item.when).forEach(mode => modes.add(mode));
+      }
+    }
+    return [...modes];
+  }
+
+  /**
+   * Check if any section or item has a `when` condition
+   */
+  hasConditions() {
+    return this.sections.some(section => section.when || section.items.some(item => item.when));
+  }
+
+  /**
+   * Get items that must be done for the routine to count as completed
+   */
+  getRequiredItems() {
+    return this.getAllItems().filter(item => !Routine.isOptional(item));
+  }
+
+  /**
+   * Get optional (bonus) items
+   */
+  getOptionalItems() {
+    return this.getAllItems().filter(item => Routine.isOptional(item));
+  }
+
   /**
    * Get total number of items
    */
@@ -40,6 +161,13 @@ export class Routine {
     return this.getAllItems().length;
   }
 
+  /**
+   * Get number of required items
+   */
+  getRequiredItemCount() {
+    return this.getRequiredItems().length;
+  }
+
   /**
    * Get total possible XP from routine
    */
@@ -96,6 +224,86 @@ export class Routine {
     return null;
   }
 
+  /**
+   * Get what still has to be done before an item can be completed
+   * Prerequisites that aren't part of this routine (e.g. left out of
+   * today's variant) are ignored
+   * @param {function} isCompleted - (itemId) => boolean
+   * @returns {array} - [{ type: 'item'|'section', id, name }]
+   */
+  getBlockers(itemId, isCompleted) {
+    const sectionIndex = this.sections.findIndex(section => section.items.some(item => item.id === itemId));
+    if (sectionIndex === -1) return [];
+
+    const section = this.sections[sectionIndex];
+    const item = section.items.find(i => i.id === itemId);
+    const blockers = [];
+
+    for (const prerequisiteId of item.after || []) {
+      const prerequisite = this.getItem(prerequisiteId);
+      if (prerequisite && !isCompleted(prerequisiteId)) {
+        blockers.push({ type: 'item', id: prerequisiteId, name: prerequisite.description });
+      }
+    }
+
+    // A section that requires the previous one waits for its required items
+    const previous = this.sections[sectionIndex - 1];
+    if (section.requiresPrevious && previous
+        && previous.items.some(i => !Routine.isOptional(i) && !isCompleted(i.id))) {
+      blockers.push({ type: 'section', id: previous.id, name: previous.name });
+    }
+
+    return blockers;
+  }
+
+  /**
+   * Get completed items that need an item to stay completed (the reverse
+   * of getBlockers)
+   * @param {function} isCompleted - (itemId) => boolean
+   * @returns {array} - [{ type: 'item', id, name }]
+   */
+  getDependents(itemId, isCompleted) {
+    const sectionIndex = this.sections.findIndex(section => section.items.some(item => item.id === itemId));
+    if (sectionIndex === -1) return [];
+
+    const item = this.sections[sectionIndex].items.find(i => i.id === itemId);
+    const nextSection = this.sections[sectionIndex + 1];
+    const blocksNextSection = nextSection?.requiresPrevious && !Routine.isOptional(item);
+    const dependents = [];
+
+    this.sections.forEach((section, index) => {
+      for (const other of section.items) {
+        if (other.id === itemId || !isCompleted(other.id)) continue;
+        if ((other.after || []).includes(itemId) || (blocksNextSection && index === sectionIndex + 1)) {
+          dependents.push({ type: 'item', id: other.id, name: other.description });
+        }
+      }
+    });
+
+    return dependents;
+  }
+
+  /**
+   * Check if the routine is due on a date
+   */
+  isScheduledOn(date = new Date()) {
+    return this.schedule.occursOn(date);
+  }
+
+  /**
+   * Check if routine was created or modified in the editor
+   */
+  isCustom() {
+    return this.source === 'custom';
+  }
+
+  /**
+   * Create a deep copy of the routine data for editing
+   */
+  cloneData() {
+    return JSON.parse(JSON.stringify(this.toJSON()));
+  }
+
   /**
    * Serialize routine data
    */
@@ -105,6 +313,7 @@ export class Routine {
       name: this.name,
       description: this.description,
       type: this.type,
+      ...(Object.keys(this.schedule.options).length > 0 ? { schedule: this.schedule.toJSON() } : {}),
       icon: this.icon,
       startTime: this.startTime,
       totalDuration: this.totalDuration,
@@ -113,16 +322,105 @@ export class Routine {
     };
   }
 
+  /**
+   * Describe blockers for messages, e.g. '"Workout" and the "Warm-up" section'
+   */
+  static describeBlockers(blockers) {
+    const names = blockers.map(blocker =>
+      blocker.type === 'section' ? `the "${blocker.name}" section` : `"${blocker.name}"`
+    );
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} and ${names.at(-1)}`;
+  }
+
+  /**
+   * Check if an item is optional: it awards bonus XP but doesn't block completion
+   */
+  static isOptional(item) {
+    return item.optional === true;
+  }
+
+  /**
+   * Check if an item is logged as a number instead of checked off
+   */
+  static isQuantitative(item) {
+    return typeof item.target === 'number' && item.target > 0;
+  }
+
+  /**
+   * Get the share of an item's skillRewards earned for a logged amount
+   * Below target the share is proportional; above target it grows by the
+   * overshoot, capped at the item's optional overachieveBonus
+   * @returns {number} - 0..1 below target, up to 1 + overachieveBonus above
+   */
+  static getRewardScale(item, amount) {
+    if (!Routine.isQuantitative(item)) return amount ? 1 : 0;
+
+    const ratio = Math.max(0, amount) / item.target;
+    if (ratio <= 1) return ratio;
+
+    const bonus = Math.min(ratio - 1, item.overachieveBonus || 0);
+    return 1 + bonus;
+  }
+
+  /**
+   * Completion bonus multipliers by schedule drift in minutes (see
+   * RoutineSession.getScheduleDrift), first matching tier wins
+   */
+  static COMPLETION_TIMING_TIERS = [
+    { within: 10, multiplier: 1.5, label: 'On time' },
+    { within: 30, multiplier: 1.25, label: 'Nearly on time' },
+    { within: 60, multiplier: 1, label: 'Late' },
+    { within: Infinity, multiplier: 0.5, label: 'Off schedule' }
+  ];
+
+  /**
+   * Get the completion bonus multiplier for a schedule drift
+   * Routines without a start time get the plain bonus
+   * @param {number|null} drift - Minutes off schedule
+   * @returns {object} - { multiplier, label, drift }
+   */
+  static getCompletionTiming(drift) {
+    if (drift === null) {
+      return { multiplier: 1, label: null, drift };
+    }
+
+    const tier = Routine.COMPLETION_TIMING_TIERS.find(tier => drift <= tier.within);
+    return { multiplier: tier.multiplier, label: tier.label, drift };
+  }
+
+  /**
+   * Parse a section time range into minutes relative to the routine start
+   * Supports offsets ("7-15 min") and clock times ("21:15-21:25")
+   * @param {string} timeRange - Section time range
+   * @param {string} startTime - Routine start time (HH:MM), needed for clock times
+   * @returns {object|null} - { start, end } in minutes, or null if unparseable
+   */
+  static parseTimeRange(timeRange, startTime = null) {
+    return parseTimeRange(timeRange, startTime);
+  }
+
   /**
    * Load routine from JSON file
+   * @param {object} options - Validation options ({ skills })
+   * @throws {RoutineValidationError} - If the JSON doesn't match the routine schema
    */
-  static async loadFromFile(filepath) {
+  static async loadFromFile(filepath, options = {}) {
     try {
       const response = await fetch(filepath);
       if (!response.ok) {
         throw new Error(`Failed to load routine: ${response.statusText}`);
       }
       const data = await response.json();
+
+      const result = validateRoutine(data, options);
+      if (!result.valid) {
+        throw new RoutineValidationError(filepath, result.errors);
+      }
+      for (const warning of result.warnings) {
+        console.warn(`${filepath} ${warning.path}: ${warning.message}`);
+      }
+
       return new Routine(data);
     } catch (error) {
       console.error('Error loading routine:', error);
@@ -130,3 +428,27 @@ export class Routine {
     }
   }
 }
+
+/**
+ * Error thrown when an item is completed before its prerequisites
+ */
+export class ItemLockedError extends Error {
+  constructor(item, blockers) {
+    super(`"${item.description}" is locked until ${Routine.describeBlockers(blockers)} ${blockers.length > 1 ? 'are' : 'is'} done`);
+    this.name = 'ItemLockedError';
+    this.itemId = item.id;
+    this.blockers = blockers;
+  }
+}
+
+/**
+ * Thrown when unchecking an item that completed items depend on
+ */
+export class ItemRequiredError extends Error {
+  constructor(item, dependents) {
+    super(`"${item.description}" can't be unchecked while ${Routine.describeBlockers(dependents)} ${dependents.length > 1 ? 'are' : 'is'} done`);
+    this.name = 'ItemRequiredError';
+    this.itemId = item.id;
+    this.dependents = dependents;
+  }
+}
@@ -0,0 +1,549 @@
+/**
+ * Routine Schema
+ * Formal description of routine JSON and a validator that reports
+ * the JSON path of every problem
+ */
+
+import { User } from './User.js';
+import { Schedule } from './Schedule.js';
+import { Condition } from './Condition.js';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Skill rewards: skill type -> XP amount
+ * `skillKeys` restricts keys to the known skill types
+ */
+const SKILL_REWARDS_SCHEMA = {
+  type: 'object',
+  skillKeys: true,
+  additionalProperties: { type: 'number', minimum: 0 }
+};
+
+/**
+ * `when` conditions on sections and items (see Condition)
+ */
+const WHEN_SCHEMA = {
+  type: 'object',
+  properties: {
+    days: { type: 'array', items: { type: 'string', enum: Schedule.DAYS } },
+    from: { type: 'string', pattern: DATE_PATTERN },
+    to: { type: 'string', pattern: DATE_PATTERN },
+    modes: { type: 'array', items: { type: 'string', pattern: ID_PATTERN } },
+    notModes: { type: 'array', items: { type: 'string', pattern: ID_PATTERN } }
+  }
+};
+
+const ITEM_SCHEMA = {
+  type: 'object',
+  required: ['id', 'description'],
+  properties: {
+    id: { type: 'string', pattern: ID_PATTERN },
+    description: { type: 'string', minLength: 1 },
+    duration: { type: 'number', minimum: 0 },
+    skillRewards: SKILL_REWARDS_SCHEMA,
+    notes: { type: 'string' },
+    optional: { type: 'boolean' },
+    when: WHEN_SCHEMA,
+    after: { type: 'array', items: { type: 'string', pattern: ID_PATTERN } },
+    target: { type: 'number', exclusiveMinimum: 0 },
+    unit: { type: 'string' },
+    step: { type: 'number', exclusiveMinimum: 0 },
+    overachieveBonus: { type: 'number', minimum: 0 }
+  }
+};
+
+const SECTION_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'items'],
+  properties: {
+    id: { type: 'string', pattern: ID_PATTERN },
+    name: { type: 'string', minLength: 1 },
+    timeRange: { type: 'string' },
+    duration: { type: 'number', minimum: 0 },
+    notes: { type: 'string' },
+    when: WHEN_SCHEMA,
+    requiresPrevious: { type: 'boolean' },
+    items: { type: 'array', items: ITEM_SCHEMA }
+  }
+};
+
+const SCHEDULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    days: { type: 'array', items: { type: 'string', enum: Schedule.DAYS } },
+    every: { type: 'integer', minimum: 1 },
+    startDate: { type: 'string', pattern: DATE_PATTERN },
+    rrule: { type: 'string' }
+  }
+};
+
+export const ROUTINE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'sections'],
+  properties: {
+    id: { type: 'string', pattern: ID_PATTERN },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    type: { type: 'string', enum: Schedule.TYPES },
+    schedule: SCHEDULE_SCHEMA,
+    icon: { type: 'string' },
+    startTime: { type: 'string', pattern: TIME_PATTERN },
+    totalDuration: { type: 'number', minimum: 0 },
+    skillRewards: SKILL_REWARDS_SCHEMA,
+    sections: { type: 'array', items: SECTION_SCHEMA }
+  }
+};
+
+/**
+ * Error thrown when routine JSON fails validation
+ */
+export class RoutineValidationError extends Error {
+  constructor(source, errors) {
+    const first = errors[0];
+    const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+    super(`Invalid routine ${source}: ${first.path} ${first.message}${more}`);
+    this.name = 'RoutineValidationError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate routine data against the schema and routine rules
+ * @param {object} data - Routine JSON
+ * @param {object} options - { skills: array of valid skill types }
+ * @returns {object} - { valid, errors: [{ path, message }], warnings: [{ path, message }] }
+ */
+export function validateRoutine(data, options = {}) {
+  const context = {
+    skills: options.skills || Object.keys(User.DEFAULT_SKILLS),
+    errors: [],
+    warnings: []
+  };
+
+  validateValue(data, ROUTINE_SCHEMA, '$', context);
+
+  // Rule checks only look at the parts whose basic structure is in place
+  if (matchesType(data, 'object')) {
+    checkUniqueIds(data, context);
+    checkDurations(data, context);
+    checkSchedule(data, context);
+    checkQuantities(data, context);
+    checkRequiredItems(data, context);
+    checkConditions(data, context);
+    checkDependencies(data, context);
+  }
+
+  return {
+    valid: context.errors.length === 0,
+    errors: context.errors,
+    warnings: context.warnings
+  };
+}
+
+/**
+ * Parse a section time range into minutes relative to the routine start
+ * Supports offsets ("7-15 min") and clock times ("21:15-21:25")
+ * @returns {object|null} - { start, end } in minutes, or null if unparseable
+ */
+export function parseTimeRange(timeRange, startTime = null) {
+  if (typeof timeRange !== 'string') return null;
+
+  const offsetMatch = timeRange.match(/^\s*(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\s*(?:min)?\s*$/);
+  if (offsetMatch) {
+    return { start: Number(offsetMatch[1]), end: Number(offsetMatch[2]) };
+  }
+
+  const clockMatch = timeRange.match(/^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/);
+  if (clockMatch) {
+    const from = Number(clockMatch[1]) * 60 + Number(clockMatch[2]);
+    let to = Number(clockMatch[3]) * 60 + Number(clockMatch[4]);
+    if (to < from) to += 24 * 60; // Crosses midnight
+
+    let base = from;
+    if (startTime && TIME_PATTERN.test(startTime)) {
+      const [hours, minutes] = startTime.split(':').map(Number);
+      const routineStart = hours * 60 + minutes;
+      base = from >= routineStart ? routineStart : routineStart - 24 * 60;
+    }
+
+    return { start: from - base, end: to - base };
+  }
+
+  return null;
+}
+
+/**
+ * Validate a value against a schema node
+ */
+function validateValue(value, schema, path, context) {
+  if (!matchesType(value, schema.type)) {
+    context.errors.push({ path, message: `must be ${article(schema.type)} ${schema.type}` });
+    return;
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    context.errors.push({ path, message: `"${value}" does not match the expected format` });
+  }
+
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    context.errors.push({ path, message: 'must not be empty' });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    context.errors.push({ path, message: `"${value}" must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    context.errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    context.errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        context.errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        validateValue(value[key], propertySchema, `${path}.${key}`, context);
+      }
+    }
+
+    if (schema.additionalProperties) {
+      for (const [key, entry] of Object.entries(value)) {
+        if (schema.skillKeys && !context.skills.includes(key)) {
+          context.errors.push({
+            path: `${path}.${key}`,
+            message: `"${key}" is not a known skill (expected one of: ${context.skills.join(', ')})`
+          });
+          continue;
+        }
+        validateValue(entry, schema.additionalProperties, `${path}.${key}`, context);
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((entry, index) => {
+      validateValue(entry, schema.items, `${path}[${index}]`, context);
+    });
+  }
+}
+
+/**
+ * Section IDs and item IDs must be unique within a routine
+ */
+function checkUniqueIds(data, context) {
+  const sectionIds = new Map();
+  const itemIds = new Map();
+
+  forEachSection(data, (section, sectionIndex, items) => {
+    const sectionPath = `$.sections[${sectionIndex}]`;
+    if (section.id === undefined) {
+      // Missing IDs are reported by the schema
+    } else if (sectionIds.has(section.id)) {
+      context.errors.push({
+        path: `${sectionPath}.id`,
+        message: `duplicate section id "${section.id}" (first used at ${sectionIds.get(section.id)})`
+      });
+    } else {
+      sectionIds.set(section.id, sectionPath);
+    }
+
+    items.forEach((item, itemIndex) => {
+      const itemPath = `${sectionPath}.items[${itemIndex}]`;
+      if (!item?.id) return;
+      if (itemIds.has(item.id)) {
+        context.errors.push({
+          path: `${itemPath}.id`,
+          message: `duplicate item id "${item.id}" (first used at ${itemIds.get(item.id)})`
+        });
+      } else {
+        itemIds.set(item.id, itemPath);
+      }
+    });
+  });
+}
+
+/**
+ * Time ranges must match durations, and section durations must add up
+ * to the routine's total duration (unless sections vary by condition,
+ * in which case each variant has its own length)
+ */
+function checkDurations(data, context) {
+  let sectionTotal = 0;
+  let allSectionsTimed = true;
+  let hasConditionalSections = false;
+
+  forEachSection(data, (section, sectionIndex, items) => {
+    const sectionPath = `$.sections[${sectionIndex}]`;
+
+    if (section.when !== undefined) {
+      hasConditionalSections = true;
+    } else if (typeof section.duration !== 'number') {
+      allSectionsTimed = false;
+    } else {
+      sectionTotal += section.duration;
+    }
+
+    if (section.timeRange !== undefined) {
+      const range = parseTimeRange(section.timeRange, data.startTime);
+      if (!range) {
+        context.errors.push({
+          path: `${sectionPath}.timeRange`,
+          message: `"${section.timeRange}" is not a valid time range (use "0-5 min" or "21:00-21:15")`
+        });
+      } else if (typeof section.duration === 'number' && differs(range.end - range.start, section.duration)) {
+        context.errors.push({
+          path: `${sectionPath}.timeRange`,
+          message: `"${section.timeRange}" spans ${range.end - range.start} min but duration is ${section.duration}`
+        });
+      }
+    }
+
+    if (typeof section.duration === 'number') {
+      const itemTotal = items.reduce((sum, item) => sum + (item?.duration || 0), 0);
+      if (itemTotal > section.duration) {
+        context.warnings.push({
+          path: `${sectionPath}.items`,
+          message: `item durations add up to ${itemTotal} min, more than the section's ${section.duration}`
+        });
+      }
+    }
+  });
+
+  if (typeof data.totalDuration === 'number' && allSectionsTimed && !hasConditionalSections
+      && differs(sectionTotal, data.totalDuration)) {
+    context.errors.push({
+      path: '$.totalDuration',
+      message: `is ${data.totalDuration} but section durations add up to ${sectionTotal}`
+    });
+  }
+}
+
+/**
+ * Schedule types need their options to be usable
+ */
+function checkSchedule(data, context) {
+  const schedule = matchesType(data.schedule, 'object') ? data.schedule : {};
+
+  if (data.type === 'weekly' && (!Array.isArray(schedule.days) || schedule.days.length === 0)) {
+    context.errors.push({ path: '$.schedule.days', message: 'must list at least one day for a weekly routine' });
+  }
+
+  if (data.type === 'interval' && schedule.every === undefined) {
+    context.errors.push({ path: '$.schedule.every', message: 'is required for an interval routine' });
+  }
+
+  if (data.type === 'rrule') {
+    try {
+      Schedule.parseRRule(schedule.rrule);
+    } catch (error) {
+      context.errors.push({ path: '$.schedule.rrule', message: error.message });
+    }
+  }
+}
+
+/**
+ * Quantity settings only make sense on items with a target
+ */
+function checkQuantities(data, context) {
+  forEachSection(data, (section, sectionIndex, items) => {
+    items.forEach((item, itemIndex) => {
+      if (!matchesType(item, 'object') || item.target !== undefined) return;
+
+      for (const field of ['unit', 'step', 'overachieveBonus']) {
+        if (item[field] !== undefined) {
+          context.errors.push({
+            path: `$.sections[${sectionIndex}].items[${itemIndex}].${field}`,
+            message: 'requires a numeric target on the item'
+          });
+        }
+      }
+    });
+  });
+}
+
+/**
+ * A routine made only of optional items completes as soon as one is done
+ */
+function checkRequiredItems(data, context) {
+  let itemCount = 0;
+  let requiredCount = 0;
+
+  forEachSection(data, (section, sectionIndex, items) => {
+    for (const item of items) {
+      if (!matchesType(item, 'object')) continue;
+      itemCount++;
+      if (item.optional !== true) requiredCount++;
+    }
+  });
+
+  if (itemCount > 0 && requiredCount === 0) {
+    context.warnings.push({
+      path: '$.sections',
+      message: 'every item is optional, so any completed item completes the routine'
+    });
+  }
+}
+
+/**
+ * Conditions must use known keys and a date range that isn't empty
+ */
+function checkConditions(data, context) {
+  const check = (when, path) => {
+    if (!matchesType(when, 'object')) return;
+
+    for (const key of Object.keys(when)) {
+      if (!Condition.KEYS.includes(key)) {
+        context.errors.push({
+          path: `${path}.${key}`,
+          message: `is not a condition (expected one of: ${Condition.KEYS.join(', ')})`
+        });
+      }
+    }
+
+    if (DATE_PATTERN.test(when.from) && DATE_PATTERN.test(when.to) && when.from > when.to) {
+      context.errors.push({ path: `${path}.to`, message: `is before from (${when.from})` });
+    }
+  };
+
+  forEachSection(data, (section, sectionIndex, items) => {
+    check(section.when, `$.sections[${sectionIndex}].when`);
+    items.forEach((item, itemIndex) => {
+      check(item?.when, `$.sections[${sectionIndex}].items[${itemIndex}].when`);
+    });
+  });
+}
+
+/**
+ * Item prerequisites must exist, and together with sections that require
+ * the previous one they must not form a cycle (the items could never unlock)
+ */
+function checkDependencies(data, context) {
+  const itemIds = new Set();
+  forEachSection(data, (section, sectionIndex, items) => {
+    items.forEach(item => item && itemIds.add(item.id));
+  });
+
+  // Edges: item -> items it waits for
+  const waitsFor = new Map();
+  const paths = new Map();
+  let previousRequired = null;
+
+  forEachSection(data, (section, sectionIndex, items) => {
+    if (section.requiresPrevious === true && sectionIndex === 0) {
+      context.warnings.push({
+        path: '$.sections[0].requiresPrevious',
+        message: 'has no effect on the first section'
+      });
+    }
+
+    items.forEach((item, itemIndex) => {
+      if (!matchesType(item, 'object')) return;
+      const path = `$.sections[${sectionIndex}].items[${itemIndex}]`;
+      const edges = [];
+
+      if (Array.isArray(item.after)) {
+        item.after.forEach((prerequisiteId, afterIndex) => {
+          if (prerequisiteId === item.id) {
+            context.errors.push({ path: `${path}.after[${afterIndex}]`, message: 'an item cannot wait for itself' });
+          } else if (!itemIds.has(prerequisiteId)) {
+            context.errors.push({ path: `${path}.after[${afterIndex}]`, message: `"${prerequisiteId}" is not an item in this routine` });
+          } else {
+            edges.push(prerequisiteId);
+          }
+        });
+      }
+
+      if (section.requiresPrevious === true && previousRequired) {
+        edges.push(...previousRequired);
+      }
+
+      waitsFor.set(item.id, edges);
+      paths.set(item.id, path);
+    });
+
+    previousRequired = items
+      .filter(item => matchesType(item, 'object') && item.optional !== true)
+      .map(item => item.id);
+  });
+
+  // Depth-first search for a cycle; report it once, at the item where it closes
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const visit = (id, trail) => {
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(id)), id];
+      context.errors.push({
+        path: `${paths.get(id)}.after`,
+        message: `dependency cycle: ${cycle.join(' → ')}`
+      });
+      return;
+    }
+
+    state.set(id, 'visiting');
+    for (const next of waitsFor.get(id) || []) {
+      visit(next, [...trail, id]);
+    }
+    state.set(id, 'done');
+  };
+
+  for (const id of waitsFor.keys()) {
+    visit(id, []);
+  }
+}
+
+/**
+ * Iterate well-formed sections (malformed ones are reported by the schema)
+ */
+function forEachSection(data, callback) {
+  if (!Array.isArray(data.sections)) return;
+
+  data.sections.forEach((section, sectionIndex) => {
+    if (matchesType(section, 'object')) {
+      callback(section, sectionIndex, Array.isArray(section.items) ? section.items : []);
+    }
+  });
+}
+
+/**
+ * Compare minute values, ignoring floating point noise from half minutes
+ */
+function differs(a, b) {
+  return Math.abs(a - b) > 1e-9;
+}
+
+/**
+ * Check a value against a schema type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Pick "a" or "an" for a type name
+ */
+function article(type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
@@ -3,10 +3,13 @@
  * Tracks completion state of a routine instance
  */
 
+import { Routine } from './Routine.js';
+import { DateKey } from './DateKey.js';
+
 export class RoutineSession {
   constructor(routine, date = null) {
     this.routineId = routine.id;
-    this.date = date || new Date().toISOString();
+    this.date = DateKey.from(date); // YYYY-MM-DD day the session belongs to (see DateKey)
     this.startedAt = null;
     this.completedAt = null;
     this.status = 'not_started'; // not_started, in_progress, completed
@@ -14,8 +17,33 @@ export class RoutineSession {
     // Track which items are completed
     this.completedItems = new Set();
 
-    // Track XP earned in this session
+    // Track XP earned in this session; bonusXpEarned is the part
+    // of xpEarned that came from optional items
     this.xpEarned = {};
+    this.bonusXpEarned = {};
+
+    // When each item was completed and how long it took
+    // { itemId: { startedAt, completedAt, durationSeconds } }
+    this.itemTimings = {};
+
+    // Quantitative items: logged amount, and the highest share of
+    // skillRewards already granted so re-logging can't grant it twice
+    this.itemAmounts = {};
+    this.rewardScales = {};
+
+    // Conditional variant of the routine used: { key, modes } (see Routine.getVariant)
+    this.variant = null;
+
+    // What was actually granted to the user, so it can be rolled back exactly:
+    // per item { xp: [{ skill, xpGained }], task: boolean }, and the routine's
+    // completion credit { streakBefore, streakAfter, routineStreak, perfectStreak } from User.completeRoutine()
+    this.itemGrants = {};
+    this.routineCredit = null;
+
+    // Routine-level skillRewards granted on completion, scaled by how closely
+    // the run kept to the schedule:
+    // { multiplier, drift, label, xpEarned: { skill: xp }, xp: [{ skill, xpGained, eventId }] }
+    this.completionBonus = null;
   }
 
   /**
@@ -28,46 +56,278 @@ export class RoutineSession {
     }
   }
 
+  /**
+   * Record which variant of the routine this session follows
+   */
+  setVariant(variant) {
+    if (variant) {
+      this.variant = { key: variant.key, modes: [...variant.modes] };
+    }
+  }
+
   /**
    * Mark an item as completed
+   * @param {object} options - { startedAt, bonus }: when the item was actually
+   *   started (e.g. from play mode, defaults to the previous completion in this
+   *   session) and whether its XP is bonus XP from an optional item
    */
-  completeItem(itemId, skillRewards) {
+  completeItem(itemId, skillRewards, options = {}) {
     if (!this.completedItems.has(itemId)) {
+      // Auto-start session if first item (before timing it, so it has a start)
+      this.start();
+
       this.completedItems.add(itemId);
+      this.recordItemTiming(itemId, options.startedAt || this.getLastActivityAt());
 
       // Track XP earned
-      if (skillRewards) {
-        for (const [skill, xp] of Object.entries(skillRewards)) {
-          this.xpEarned[skill] = (this.xpEarned[skill] || 0) + xp;
-        }
-      }
-
-      // Auto-start session if first item
-      if (this.status === 'not_started') {
-        this.start();
-      }
+      this.trackXP(skillRewards, 1, options.bonus);
     }
   }
 
   /**
    * Mark an item as incomplete
+   * @param {object} options - { bonus } whether the item's XP was bonus XP
    */
-  uncompleteItem(itemId, skillRewards) {
+  uncompleteItem(itemId, skillRewards, options = {}) {
     if (this.completedItems.has(itemId)) {
       this.completedItems.delete(itemId);
+      delete this.itemTimings[itemId];
 
       // Subtract XP
-      if (skillRewards) {
-        for (const [skill, xp] of Object.entries(skillRewards)) {
-          this.xpEarned[skill] = (this.xpEarned[skill] || 0) - xp;
-          if (this.xpEarned[skill] <= 0) {
-            delete this.xpEarned[skill];
-          }
+      this.trackXP(skillRewards, -1, options.bonus);
+    }
+  }
+
+  /**
+   * Add (or with a negative scale, subtract) scaled skill rewards to the session totals
+   */
+  trackXP(skillRewards, scale, bonus = false) {
+    if (!skillRewards) return;
+
+    const totals = bonus ? [this.xpEarned, this.bonusXpEarned] : [this.xpEarned];
+    for (const earned of totals) {
+      for (const [skill, xp] of Object.entries(skillRewards)) {
+        earned[skill] = (earned[skill] || 0) + xp * scale;
+        if (earned[skill] <= 0) {
+          delete earned[skill];
         }
       }
     }
   }
 
+  /**
+   * Record XP results and task credit granted for an item
+   * @param {array} xpResults - From User.addRoutineRewards()
+   * @param {boolean} countsTask - Whether a completed task was counted
+   */
+  recordGrant(itemId, xpResults, countsTask = false) {
+    const grant = this.itemGrants[itemId] || { xp: [], task: false };
+    grant.xp.push(...xpResults.map(({ skill, xpGained, eventId }) => ({ skill, xpGained, eventId })));
+    grant.task = grant.task || countsTask;
+    this.itemGrants[itemId] = grant;
+  }
+
+  /**
+   * Ledger source for progress made in this session
+   */
+  getSource(itemId = null) {
+    return { routineId: this.routineId, itemId, date: this.date };
+  }
+
+  /**
+   * Remove and return everything granted for an item
+   */
+  takeGrant(itemId) {
+    const grant = this.itemGrants[itemId] || { xp: [], task: false };
+    delete this.itemGrants[itemId];
+    return grant;
+  }
+
+  /**
+   * Forget the reward share earned by a quantitative item so the next
+   * logged amount is rewarded from scratch
+   */
+  resetItemReward(itemId, item) {
+    const earned = RoutineSession.getScaledRewards(item.skillRewards, this.rewardScales[itemId] || 0);
+    this.trackXP(earned, -1, Routine.isOptional(item));
+    delete this.rewardScales[itemId];
+  }
+
+  /**
+   * Whole XP per skill earned at a share of skillRewards (XP is granted in
+   * whole points, so partial amounts round down)
+   */
+  static getScaledRewards(skillRewards = {}, scale) {
+    return Object.fromEntries(
+      Object.entries(skillRewards).map(([skill, xp]) => [skill, Math.floor(xp * scale)])
+    );
+  }
+
+  /**
+   * Log an amount for a quantitative item
+   * The item counts as completed once the amount reaches its target
+   * @returns {object} - { scale, grantRewards, becameComplete, becameIncomplete }
+   *   where grantRewards is the XP per skill newly earned: what the new share
+   *   of skillRewards is worth minus what the item already granted
+   */
+  logAmount(itemId, amount, item, options = {}) {
+    const wasCompleted = this.completedItems.has(itemId);
+    const reached = amount >= item.target;
+    const scale = Routine.getRewardScale(item, amount);
+    const previousScale = this.rewardScales[itemId] || 0;
+
+    const granted = RoutineSession.getScaledRewards(item.skillRewards, previousScale);
+    const grantRewards = {};
+    for (const [skill, xp] of Object.entries(RoutineSession.getScaledRewards(item.skillRewards, scale))) {
+      if (xp > granted[skill]) {
+        grantRewards[skill] = xp - granted[skill];
+      }
+    }
+
+    this.itemAmounts[itemId] = amount;
+
+    // Auto-start on the first amount, before timing the item
+    if (amount > 0) {
+      this.start();
+    }
+
+    if (reached && !wasCompleted) {
+      this.completedItems.add(itemId);
+      this.recordItemTiming(itemId, options.startedAt || this.getLastActivityAt());
+    } else if (!reached && wasCompleted) {
+      this.completedItems.delete(itemId);
+      delete this.itemTimings[itemId];
+    }
+
+    if (scale > previousScale) {
+      this.rewardScales[itemId] = scale;
+      this.trackXP(grantRewards, 1, Routine.isOptional(item));
+    }
+
+    return {
+      scale,
+      grantRewards,
+      becameComplete: reached && !wasCompleted,
+      becameIncomplete: !reached && wasCompleted
+    };
+  }
+
+  /**
+   * Get logged amount for a quantitative item
+   */
+  getItemAmount(itemId) {
+    return this.itemAmounts[itemId] || 0;
+  }
+
+  /**
+   * Record completion time and duration of an item
+   */
+  recordItemTiming(itemId, startedAt) {
+    const completedAt = new Date();
+    this.itemTimings[itemId] = {
+      startedAt: startedAt || null,
+      completedAt: completedAt.toISOString(),
+      durationSeconds: startedAt
+        ? Math.max(0, Math.round((completedAt - new Date(startedAt)) / 1000))
+        : null
+    };
+  }
+
+  /**
+   * Get timing for a completed item
+   */
+  getItemTiming(itemId) {
+    return this.itemTimings[itemId] || null;
+  }
+
+  /**
+   * Latest point the user was known to be working on this session
+   * (last item completion, else session start)
+   */
+  getLastActivityAt() {
+    const completions = Object.values(this.itemTimings).map(timing => timing.completedAt);
+    if (completions.length > 0) {
+      return completions.sort().at(-1);
+    }
+    return this.startedAt;
+  }
+
+  /**
+   * Compare actual timing against each section's planned time range and duration
+   * @returns {object} - { plannedStart, actualStart, sections: [...], totals }
+   *   with times as ISO strings, durations and drifts in minutes
+   */
+  getTimingBreakdown(routine) {
+    const plannedStart = this.getPlannedStart(routine);
+    let offset = 0;
+
+    const sections = routine.sections.map(section => {
+      const range = Routine.parseTimeRange(section.timeRange, routine.startTime);
+      const plannedDuration = section.duration
+        ?? (range ? range.end - range.start : section.items.reduce((sum, item) => sum + (item.duration || 0), 0));
+      const sectionOffset = range ? range.start : offset;
+      offset = sectionOffset + plannedDuration;
+
+      const items = section.items.map(item => {
+        const timing = this.getItemTiming(item.id);
+        return {
+          id: item.id,
+          description: item.description,
+          plannedDuration: item.duration ?? null,
+          completedAt: timing?.completedAt || null,
+          actualDuration: timing?.durationSeconds != null ? timing.durationSeconds / 60 : null
+        };
+      });
+
+      const timings = section.items.map(item => this.getItemTiming(item.id)).filter(Boolean);
+      const starts = timings.map(timing => new Date(timing.startedAt || timing.completedAt));
+      const ends = timings.map(timing => new Date(timing.completedAt));
+      const actualStart = starts.length > 0 ? new Date(Math.min(...starts)) : null;
+      const actualEnd = ends.length > 0 ? new Date(Math.max(...ends)) : null;
+      const sectionPlannedStart = plannedStart ? addMinutes(plannedStart, sectionOffset) : null;
+
+      return {
+        id: section.id,
+        name: section.name,
+        timeRange: section.timeRange || null,
+        plannedStart: sectionPlannedStart?.toISOString() || null,
+        plannedDuration,
+        actualStart: actualStart?.toISOString() || null,
+        actualEnd: actualEnd?.toISOString() || null,
+        actualDuration: actualStart ? minutesBetween(actualStart, actualEnd) : null,
+        startDrift: actualStart && sectionPlannedStart ? minutesBetween(sectionPlannedStart, actualStart) : null,
+        completed: section.items.every(item => Routine.isOptional(item) || this.isItemCompleted(item.id)),
+        items
+      };
+    });
+
+    const timedSections = sections.filter(section => section.actualStart);
+    const actualStart = timedSections[0]?.actualStart || this.startedAt;
+    const actualEnd = timedSections.at(-1)?.actualEnd || null;
+    const plannedEnd = plannedStart && routine.totalDuration ? addMinutes(plannedStart, routine.totalDuration) : null;
+
+    return {
+      plannedStart: plannedStart?.toISOString() || null,
+      actualStart,
+      sections,
+      totals: {
+        plannedDuration: routine.totalDuration ?? null,
+        actualDuration: actualStart && actualEnd ? minutesBetween(new Date(actualStart), new Date(actualEnd)) : null,
+        plannedEnd: plannedEnd?.toISOString() || null,
+        actualEnd,
+        endDrift: plannedEnd && actualEnd ? minutesBetween(plannedEnd, new Date(actualEnd)) : null
+      }
+    };
+  }
+
+  /**
+   * Planned start of the routine on this session's day
+   */
+  getPlannedStart(routine) {
+    if (!routine.startTime) return null;
+    return DateKey.atTime(this.date, routine.startTime);
+  }
+
   /**
    * Check if item is completed
    */
@@ -77,23 +337,41 @@ export class RoutineSession {
 
   /**
    * Get completion progress
+   * Counts required items only; optional items are reported under `optional`
    */
   getProgress(routine) {
-    const totalItems = routine.getTotalItemCount();
-    const completedCount = this.completedItems.size;
+    const totalItems = routine.getRequiredItemCount();
+    const completedCount = this.getCompletedCount(routine.getRequiredItems());
+    const optionalItems = routine.getOptionalItems();
     return {
       completed: completedCount,
       total: totalItems,
-      percentage: totalItems > 0 ? Math.floor((completedCount / totalItems) * 100) : 0
+      percentage: totalItems > 0 ? Math.floor((completedCount / totalItems) * 100) : 0,
+      optional: {
+        completed: this.getCompletedCount(optionalItems),
+        total: optionalItems.length
+      }
     };
   }
 
   /**
-   * Check if routine is fully completed
+   * Check if all required items are completed
+   * A routine without required items needs at least one completed item
    */
   isComplete(routine) {
-    const totalItems = routine.getTotalItemCount();
-    return this.completedItems.size === totalItems;
+    const requiredItems = routine.getRequiredItems();
+    if (requiredItems.length === 0) {
+      return this.getCompletedCount(routine.getAllItems()) > 0;
+    }
+    return this.getCompletedCount(requiredItems) === requiredItems.length;
+  }
+
+  /**
+   * Count completed items among the given routine items
+   * (an edited routine may have dropped previously completed items)
+   */
+  getCompletedCount(items) {
+    return items.filter(item => this.completedItems.has(item.id)).length;
   }
 
   /**
@@ -106,6 +384,63 @@ export class RoutineSession {
     }
   }
 
+  /**
+   * Record the completion bonus granted for the routine
+   * @param {object} timing - From Routine.getCompletionTiming(), plus drift
+   * @param {object} skillRewards - Routine skillRewards
+   * @param {array} xpResults - From User.addRoutineRewards()
+   */
+  recordCompletionBonus(timing, skillRewards, xpResults) {
+    this.completionBonus = {
+      multiplier: timing.multiplier,
+      drift: timing.drift,
+      label: timing.label,
+      xpEarned: Object.fromEntries(
+        Object.entries(skillRewards).map(([skill, xp]) => [skill, xp * timing.multiplier])
+      ),
+      xp: xpResults.map(({ skill, xpGained, eventId }) => ({ skill, xpGained, eventId }))
+    };
+  }
+
+  /**
+   * Remove and return the completion bonus
+   */
+  takeCompletionBonus() {
+    const bonus = this.completionBonus;
+    this.completionBonus = null;
+    return bonus;
+  }
+
+  /**
+   * How far the run strayed from the routine's schedule, in minutes:
+   * the larger of the start drift and the overrun past totalDuration
+   * @returns {number|null} - Null if the routine has no start time or nothing was timed
+   */
+  getScheduleDrift(routine) {
+    const timing = this.getTimingBreakdown(routine);
+    if (!timing.plannedStart || !timing.actualStart) return null;
+
+    const startDrift = Math.abs(minutesBetween(new Date(timing.plannedStart), new Date(timing.actualStart)));
+    const { plannedDuration, actualDuration } = timing.totals;
+    const overrun = plannedDuration && actualDuration !== null
+      ? Math.max(0, actualDuration - plannedDuration)
+      : 0;
+
+    return Math.max(startDrift, overrun);
+  }
+
+  /**
+   * Undo completion when required items were unchecked
+   * @returns {object|null} - The routine credit to hand back to the user
+   */
+  reopen() {
+    const credit = this.routineCredit;
+    this.completedAt = null;
+    this.status = 'in_progress';
+    this.routineCredit = null;
+    return credit;
+  }
+
   /**
    * Get session duration in minutes
    */
@@ -127,6 +462,14 @@ export class RoutineSession {
     this.status = 'not_started';
     this.completedItems.clear();
     this.xpEarned = {};
+    this.bonusXpEarned = {};
+    this.itemTimings = {};
+    this.itemAmounts = {};
+    this.rewardScales = {};
+    this.variant = null;
+    this.itemGrants = {};
+    this.routineCredit = null;
+    this.completionBonus = null;
   }
 
   /**
@@ -140,7 +483,15 @@ export class RoutineSession {
       completedAt: this.completedAt,
       status: this.status,
       completedItems: Array.from(this.completedItems),
-      xpEarned: this.xpEarned
+      xpEarned: this.xpEarned,
+      bonusXpEarned: this.bonusXpEarned,
+      itemTimings: this.itemTimings,
+      itemAmounts: this.itemAmounts,
+      rewardScales: this.rewardScales,
+      variant: this.variant,
+      itemGrants: this.itemGrants,
+      routineCredit: this.routineCredit,
+      completionBonus: this.completionBonus
     };
   }
 
@@ -154,6 +505,28 @@ export class RoutineSession {
     session.status = data.status || 'not_started';
     session.completedItems = new Set(data.completedItems || []);
     session.xpEarned = data.xpEarned || {};
+    session.bonusXpEarned = data.bonusXpEarned || {};
+    session.itemTimings = data.itemTimings || {};
+    session.itemAmounts = data.itemAmounts || {};
+    session.rewardScales = data.rewardScales || {};
+    session.variant = data.variant || null;
+    session.itemGrants = data.itemGrants || {};
+    session.routineCredit = data.routineCredit || null;
+    session.completionBonus = data.completionBonus || null;
     return session;
   }
 }
+
+/**
+ * Add minutes to a date
+ */
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Minutes from one date to another (rounded to one decimal)
+ */
+function minutesBetween(from, to) {
+  return Math.round(((to - from) / 60000) * 10) / 10;
+}
@@ -0,0 +1,239 @@
+/**
+ * Schedule Class
+ * Recurrence rules deciding on which days a routine is due
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export class Schedule {
+  /**
+   * @param {string} type - daily, weekdays, weekends, weekly, interval or rrule
+   * @param {object} options - Type specific options:
+   *   weekly:   { days: ['mon', 'wed'] }
+   *   interval: { every: 2, startDate: '2024-01-01' }
+   *   rrule:    { rrule: 'FREQ=WEEKLY;BYDAY=MO,WE', startDate: '2024-01-01' }
+   */
+  constructor(type = 'daily', options = {}) {
+    this.type = type;
+    this.options = options;
+    this.rule = type === 'rrule' ? Schedule.parseRRule(options.rrule) : null;
+  }
+
+  /**
+   * Supported schedule types
+   */
+  static TYPES = ['daily', 'weekdays', 'weekends', 'weekly', 'interval', 'rrule'];
+
+  /**
+   * Day codes indexed like Date.getDay()
+   */
+  static DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+  static DAY_NAMES = {
+    sun: 'Sun', mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat'
+  };
+
+  /**
+   * Two-letter RRULE day codes mapped to day codes
+   */
+  static RRULE_DAYS = {
+    SU: 'sun', MO: 'mon', TU: 'tue', WE: 'wed', TH: 'thu', FR: 'fri', SA: 'sat'
+  };
+
+  /**
+   * Check if the schedule has a day on the given date
+   */
+  occursOn(date) {
+    const day = new Date(date);
+    const dayCode = Schedule.DAYS[day.getDay()];
+
+    switch (this.type) {
+      case 'daily':
+        return true;
+      case 'weekdays':
+        return day.getDay() >= 1 && day.getDay() <= 5;
+      case 'weekends':
+        return day.getDay() === 0 || day.getDay() === 6;
+      case 'weekly':
+        return (this.options.days || []).includes(dayCode);
+      case 'interval': {
+        const every = Math.max(1, this.options.every || 1);
+        const elapsed = Schedule.daysBetween(this.getStartDate(), day);
+        return elapsed >= 0 && elapsed % every === 0;
+      }
+      case 'rrule':
+        return this.occursOnRRule(day);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Evaluate the supported RRULE subset for a date
+   */
+  occursOnRRule(day) {
+    const rule = this.rule;
+    const start = this.getStartDate();
+    const elapsed = Schedule.daysBetween(start, day);
+    if (elapsed < 0) return false;
+
+    if (rule.until && Schedule.daysBetween(rule.until, day) > 0) {
+      return false;
+    }
+
+    const dayCode = Schedule.DAYS[day.getDay()];
+    if (rule.byDay && !rule.byDay.includes(dayCode)) {
+      return false;
+    }
+    if (rule.byMonthDay && !rule.byMonthDay.includes(day.getDate())) {
+      return false;
+    }
+
+    switch (rule.freq) {
+      case 'DAILY':
+        return elapsed % rule.interval === 0;
+      case 'WEEKLY': {
+        // Weeks counted from the Sunday on or before the start date
+        const weekStart = new Date(start);
+        weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+        const weeks = Math.floor(Schedule.daysBetween(weekStart, day) / 7);
+        const sameWeekday = rule.byDay ? true : day.getDay() === start.getDay();
+        return sameWeekday && weeks % rule.interval === 0;
+      }
+      case 'MONTHLY': {
+        const months = (day.getFullYear() - start.getFullYear()) * 12 + day.getMonth() - start.getMonth();
+        const sameMonthDay = rule.byMonthDay || rule.byDay ? true : day.getDate() === start.getDate();
+        return sameMonthDay && months % rule.interval === 0;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get the date recurrence is counted from
+   */
+  getStartDate() {
+    if (this.options.startDate) {
+      return Schedule.parseDate(this.options.startDate);
+    }
+    // Without an explicit start, count from a fixed reference day
+    return new Date(2024, 0, 1);
+  }
+
+  /**
+   * Human readable description of the schedule
+   */
+  describe() {
+    switch (this.type) {
+      case 'daily':
+        return 'Every day';
+      case 'weekdays':
+        return 'Weekdays';
+      case 'weekends':
+        return 'Weekends';
+      case 'weekly':
+        return (this.options.days || []).map(day => Schedule.DAY_NAMES[day]).join(', ');
+      case 'interval':
+        return this.options.every > 1 ? `Every ${this.options.every} days` : 'Every day';
+      case 'rrule':
+        return this.options.rrule;
+      default:
+        return this.type;
+    }
+  }
+
+  /**
+   * Serialize schedule options (type is stored on the routine)
+   */
+  toJSON() {
+    return { ...this.options };
+  }
+
+  /**
+   * Create a schedule from routine JSON (`type` plus optional `schedule` block)
+   */
+  static fromRoutineData(data) {
+    return new Schedule(data.type || 'daily', data.schedule || {});
+  }
+
+  /**
+   * Parse the supported RRULE subset:
+   * FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY, BYMONTHDAY, UNTIL
+   * @throws {Error} - With a description of the unsupported or invalid part
+   */
+  static parseRRule(rrule) {
+    if (typeof rrule !== 'string' || rrule.trim() === '') {
+      throw new Error('RRULE is required');
+    }
+
+    const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, until: null };
+    const parts = rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+    for (const part of parts) {
+      const [key, value] = part.split('=').map(s => s.trim().toUpperCase());
+
+      switch (key) {
+        case 'FREQ':
+          if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(value)) {
+            throw new Error(`FREQ=${value} is not supported (use DAILY, WEEKLY or MONTHLY)`);
+          }
+          rule.freq = value;
+          break;
+        case 'INTERVAL':
+          rule.interval = Number(value);
+          if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+            throw new Error(`INTERVAL=${value} must be a positive whole number`);
+          }
+          break;
+        case 'BYDAY':
+          rule.byDay = value.split(',').map(code => {
+            if (!Schedule.RRULE_DAYS[code]) {
+              throw new Error(`BYDAY value "${code}" is not a day (use MO, TU, WE, TH, FR, SA, SU)`);
+            }
+            return Schedule.RRULE_DAYS[code];
+          });
+          break;
+        case 'BYMONTHDAY':
+          rule.byMonthDay = value.split(',').map(Number);
+          if (rule.byMonthDay.some(d => !Number.isInteger(d) || d < 1 || d > 31)) {
+            throw new Error(`BYMONTHDAY=${value} must list days 1-31`);
+          }
+          break;
+        case 'UNTIL': {
+          const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+          if (!match) {
+            throw new Error(`UNTIL=${value} must be a date like 20251231`);
+          }
+          rule.until = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+          break;
+        }
+        default:
+          throw new Error(`${key} is not supported`);
+      }
+    }
+
+    if (!rule.freq) {
+      throw new Error('FREQ is required');
+    }
+
+    return rule;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date as local midnight
+   */
+  static parseDate(value) {
+    const [year, month, day] = String(value).split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Whole calendar days from one date to another (ignores time of day and DST)
+   */
+  static daysBetween(from, to) {
+    const start = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+    const end = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+    return Math.round((end - start) / MS_PER_DAY);
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * SessionHistory
+ * Read-only view of the stored RoutineSessions, for achievements about how
+ * routines were actually done (on time, under time, every day of a week...)
+ * rather than the user's running totals
+ */
+
+import { DateKey } from './DateKey.js';
+
+export class SessionHistory {
+  /**
+   * @param {array} sessions - RoutineSession objects
+   * @param {array} routines - Loaded Routine objects (sessions of other routines are ignored)
+   * @param {string} today - Day the history is read on (earlier for backdating, see setToday())
+   */
+  constructor(sessions = [], routines = [], today = DateKey.today()) {
+    this.today = today;
+    this.routines = new Map(routines.map(routine => [routine.id, routine]));
+    this.sessions = new Map(); // `${routineId}_${date}` -> session
+    this.firstDay = null;
+
+    // Metric results, dropped whenever a session or today changes
+    this.results = new Map();
+    // Runs of days already checked, resumed by getLongestRun
+    this.runs = new Map(); // `${name}:${first}:${to}` -> { through, run, longest }
+    this.sessionResults = new WeakMap(); // session -> { check name: result }
+
+    sessions.forEach(session => this.setSession(session));
+  }
+
+  /**
+   * Add or replace a routine's session on its day
+   */
+  setSession(session) {
+    if (!this.routines.has(session.routineId)) return;
+    this.sessions.set(`${session.routineId}_${session.date}`, session);
+    if (!this.firstDay || session.date < this.firstDay) {
+      this.firstDay = session.date;
+    }
+
+    this.results.clear();
+    this.sessionResults.delete(session);
+    for (const [key, state] of this.runs) {
+      if (state.through >= session.date) this.runs.delete(key);
+    }
+  }
+
+  /**
+   * Move the history's today, e.g. when the app stays open past midnight, or
+   * day by day while backdating (with sessions added as their days are reached)
+   */
+  setToday(key) {
+    if (key === this.today) return;
+    this.today = key;
+    this.results.clear();
+  }
+
+  /**
+   * Compute a metric once until the history changes
+   */
+  remember(name, query, compute) {
+    const key = `${name}:${JSON.stringify(query)}`;
+    if (!this.results.has(key)) {
+      this.results.set(key, compute());
+    }
+    return this.results.get(key);
+  }
+
+  /**
+   * Check a session once until it's set again
+   */
+  rememberFor(session, name, compute) {
+    if (!this.sessionResults.has(session)) {
+      this.sessionResults.set(session, {});
+    }
+    const results = this.sessionResults.get(session);
+    if (!(name in results)) {
+      results[name] = compute();
+    }
+    return results[name];
+  }
+
+  /**
+   * Get a routine's session on a day
+   */
+  getSession(routineId, key) {
+    return this.sessions.get(`${routineId}_${key}`) || null;
+  }
+
+  /**
+   * Get sessions, oldest first
+   * @param {object} query - { routineId, from, to } (keys, either may be null)
+   */
+  getSessions({ routineId = null, from = null, to = null } = {}) {
+    return [...this.sessions.values()]
+      .filter(session =>
+        (!routineId || session.routineId === routineId) &&
+        (!from || session.date >= from) &&
+        (!to || session.date <= to)
+      )
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Days with at least one session, oldest first
+   */
+  getSessionDays() {
+    return [...new Set(this.getSessions().map(session => session.date))];
+  }
+
+  /**
+   * Latest moment anything was done on a day
+   * @returns {string|null} - ISO timestamp
+   */
+  getLastActivityAt(key) {
+    const times = [...this.routines.keys()]
+      .map(routineId => this.getSession(routineId, key))
+      .flatMap(session => [session?.startedAt, session?.completedAt])
+      .filter(Boolean);
+    return times.sort().at(-1) || null;
+  }
+
+  /**
+   * Routine as it applied on a session's day (see Routine.resolve)
+   */
+  getRoutineFor(session) {
+    return this.routines.get(session.routineId).resolve({
+      date: DateKey.toDay(session.date),
+      modes: session.variant?.modes || []
+    });
+  }
+
+  /**
+   * Longest run of days that pass a check, from the first session (or `from`,
+   * if later) to the history's today (or `to`). Days already checked only
+   * change through setSession, so a later call with the same name carries
+   * on from the last day it checked.
+   * @param {function} check - (key) => true, false, or null for days that
+   *   neither count nor break the run (nothing scheduled)
+   */
+  getLongestRun(name, { from = null, to = null }, check) {
+    if (!this.firstDay) return 0;
+
+    const first = from && from > this.firstDay ? from : this.firstDay;
+    const last = to && to < this.today ? to : this.today;
+    const key = `${name}:${first}:${to}`;
+
+    let state = this.runs.get(key);
+    if (!state || state.through > last) {
+      state = { through: DateKey.addDays(first, -1), run: 0, longest: 0 };
+      this.runs.set(key, state);
+    }
+
+    for (let day = DateKey.addDays(state.through, 1); day <= last; day = DateKey.addDays(day, 1)) {
+      const passed = check(day);
+      state.through = day;
+      if (passed === null) continue;
+      state.run = passed ? state.run + 1 : 0;
+      state.longest = Math.max(state.longest, state.run);
+    }
+    return state.longest;
+  }
+
+  /**
+   * Check if a session was completed and started no later than the routine's start time
+   */
+  isOnTime(session) {
+    if (session?.status !== 'completed') return false;
+
+    return this.rememberFor(session, 'onTime', () => {
+      const timing = session.getTimingBreakdown(this.getRoutineFor(session));
+      return !!timing.plannedStart && !!timing.actualStart && timing.actualStart <= timing.plannedStart;
+    });
+  }
+
+  /**
+   * Check if a session was completed in less time than the routine's totalDuration
+   */
+  isUnderTime(session) {
+    if (session.status !== 'completed') return false;
+
+    return this.rememberFor(session, 'underTime', () => {
+      const { plannedDuration, actualDuration } = session.getTimingBreakdown(this.getRoutineFor(session)).totals;
+      return !!plannedDuration && actualDuration !== null && actualDuration < plannedDuration;
+    });
+  }
+
+  /**
+   * Most scheduled days in a row a routine was done on time (the best
+   * routine's, if none is given). Routines without a start time don't count.
+   */
+  getOnTimeRun({ routineId = null, from = null, to = null } = {}) {
+    const routines = [...this.routines.values()].filter(routine =>
+      routine.startTime && (!routineId || routine.id === routineId)
+    );
+
+    return Math.max(0, ...routines.map(routine => this.getLongestRun(`onTime-${routine.id}`, { from, to }, day =>
+      routine.isScheduledOn(DateKey.toDay(day)) ? this.isOnTime(this.getSession(routine.id, day)) : null
+    )));
+  }
+
+  /**
+   * Most days in a row every scheduled routine was completed
+   */
+  getPerfectDayRun({ from = null, to = null } = {}) {
+    const routines = [...this.routines.values()];
+
+    return this.getLongestRun('perfectDay', { from, to }, day => {
+      const scheduled = routines.filter(routine => routine.isScheduledOn(DateKey.toDay(day)));
+      if (scheduled.length === 0) return null;
+      return scheduled.every(routine => this.getSession(routine.id, day)?.status === 'completed');
+    });
+  }
+
+  /**
+   * Count completed sessions that took less time than the routine's totalDuration
+   */
+  countUnderTime(query = {}) {
+    return this.remember('underTime', query, () =>
+      this.getSessions(query).filter(session => this.isUnderTime(session)).length
+    );
+  }
+
+  /**
+   * Count days every one of the given skills earned XP in some session
+   * @param {array} skillTypes - Skills that all have to be trained (the user's active skills)
+   */
+  countAllSkillDays(skillTypes, query = {}) {
+    if (skillTypes.length === 0) return 0;
+
+    return this.remember('allSkillDays', { skillTypes, ...query }, () => {
+      const trainedByDay = new Map(); // date -> Set of skill types
+      for (const session of this.getSessions(query)) {
+        const trained = trainedByDay.get(session.date) || new Set();
+        Object.keys(session.xpEarned).forEach(skill => trained.add(skill));
+        trainedByDay.set(session.date, trained);
+      }
+
+      return [...trainedByDay.values()].filter(trained => skillTypes.every(skill => trained.has(skill))).length;
+    });
+  }
+}
@@ -3,70 +3,124 @@
  * Represents a player skill with leveling, prestige, and XP tracking
  */
 
+import { LevelCurve } from './LevelCurve.js';
+import { DateKey } from './DateKey.js';
+import { PerkTree } from './PerkTree.js';
+
 export class Skill {
-  constructor(name, icon, type) {
+  /**
+   * @param {LevelCurve|object} curve - Level curve or its config (default: 100 * level^1.5 up to 100)
+   */
+  constructor(name, icon, type, curve = null) {
     this.name = name;
     this.icon = icon;
     this.type = type;
+    this.curve = LevelCurve.fromJSON(curve);
+    this.color = null; // CSS color for the progress bar (built-in skills use theme gradients)
+    this.archived = false; // Hidden and no longer earning XP, history kept
+
+    // Decay: after graceDays without XP, currentXP drains by percentPerDay of
+    // the level's XP requirement each day, down to the floor of the current tier
+    this.decay = { ...Skill.DEFAULT_DECAY };
+    this.lastTrainedAt = null;
+    this.decayedThrough = null; // Last day decay was applied for
     this.level = 1;
     this.currentXP = 0;
     this.totalXP = 0;
     this.prestige = 0;
+    this.perks = {}; // Perk tree ranks bought with prestige points { perkId: rank }
+    this.perkPoints = 0; // Unspent prestige points
   }
 
-  /**
-   * Level Tier System
-   */
-  static LEVEL_TIERS = {
-    BEGINNER: { min: 1, max: 10, name: 'Beginner' },
-    NOVICE: { min: 11, max: 25, name: 'Novice' },
-    INTERMEDIATE: { min: 26, max: 50, name: 'Intermediate' },
-    ADVANCED: { min: 51, max: 75, name: 'Advanced' },
-    EXPERT: { min: 76, max: 99, name: 'Expert' },
-    MASTER: { min: 100, max: 100, name: 'Master' }
-  };
-
   /**
    * Get current tier based on level
    */
   getTier() {
-    for (const [key, tier] of Object.entries(Skill.LEVEL_TIERS)) {
-      if (this.level >= tier.min && this.level <= tier.max) {
-        return tier.name;
-      }
-    }
-    return 'Beginner';
+    return this.curve.getTier(this.level);
   }
 
   /**
    * Calculate XP required for next level
-   * Formula: baseXP * level^1.5
    */
   getXPForNextLevel() {
-    if (this.level >= 100) return 0; // Max level
-    const baseXP = 100;
-    return Math.floor(baseXP * Math.pow(this.level, 1.5));
+    return this.curve.getXPForLevel(this.level);
+  }
+
+  /**
+   * Decay settings skills start with (decay itself is opt-in per user)
+   */
+  static DEFAULT_DECAY = { graceDays: 14, percentPerDay: 0.01 };
+
+  /**
+   * Get the level cap
+   */
+  getMaxLevel() {
+    return this.curve.maxLevel;
   }
 
   /**
-   * Get prestige XP multiplier
-   * +5% per prestige level
+   * Check if the skill reached its level cap (and can prestige)
+   */
+  isMaxLevel() {
+    return this.level >= this.curve.maxLevel;
+  }
+
+  /**
+   * Get prestige XP multiplier (from the skill's perks)
    */
   getPrestigeMultiplier() {
-    return 1 + (this.prestige * 0.05);
+    return 1 + this.getPerkEffect('xp');
+  }
+
+  /**
+   * Total of a perk effect for this skill (see PerkTree.PERKS)
+   */
+  getPerkEffect(effectName) {
+    return PerkTree.getEffect(this.perks, effectName);
+  }
+
+  /**
+   * Spend a prestige point on a perk
+   * @returns {number} - The perk's new rank
+   * @throws {Error} - If the perk can't take another rank
+   */
+  unlockPerk(perkId) {
+    const reason = PerkTree.getLockReason(this.perks, this.perkPoints, perkId);
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    this.perks = { ...this.perks, [perkId]: (this.perks[perkId] || 0) + 1 };
+    this.perkPoints--;
+    return this.perks[perkId];
   }
 
   /**
    * Add XP with prestige multiplier
    * @param {number} xp - Raw XP to add
    * @param {number} streakBonus - Streak bonus percentage (0-1)
-   * @returns {object} - { leveledUp: boolean, newLevel: number }
+   * @returns {object} - { leveledUp: boolean, newLevel: number, xpGained: number }
    */
   addXP(xp, streakBonus = 0) {
+    const adjustedXP = this.getAdjustedXP(xp, streakBonus);
+    return { ...this.gainXP(adjustedXP), xpGained: adjustedXP };
+  }
+
+  /**
+   * Apply prestige and streak multipliers to raw XP
+   * @param {number} streakBonus - Streak bonus for this skill, perks included
+   */
+  getAdjustedXP(xp, streakBonus = 0) {
     const prestigeMultiplier = this.getPrestigeMultiplier();
     const totalMultiplier = prestigeMultiplier * (1 + streakBonus);
-    const adjustedXP = Math.floor(xp * totalMultiplier);
+    return Math.floor(xp * totalMultiplier);
+  }
 
+  /**
+   * Add already multiplied XP and level up (used by addXP() and ledger replay)
+   * @returns {object} - { leveledUp: boolean, newLevel: number }
+   */
+  gainXP(adjustedXP) {
     this.currentXP += adjustedXP;
     this.totalXP += adjustedXP;
 
@@ -74,30 +128,55 @@ export class Skill {
     let newLevel = this.level;
 
     // Check for level ups
-    while (this.currentXP >= this.getXPForNextLevel() && this.level < 100) {
+    while (this.currentXP >= this.getXPForNextLevel() && !this.isMaxLevel()) {
       this.currentXP -= this.getXPForNextLevel();
       this.level++;
       leveledUp = true;
       newLevel = this.level;
     }
 
-    return { leveledUp, newLevel, xpGained: adjustedXP };
+    return { leveledUp, newLevel };
   }
 
   /**
-   * Prestige the skill (reset to level 1, increase prestige)
+   * Take back XP granted earlier, leveling down if needed
+   * @param {number} xp - XP to remove (the amount addXP() reported as gained)
+   * @returns {object} - { leveledDown: boolean, newLevel: number, xpRemoved: number }
    */
-  prestige() {
-    if (this.level < 100) {
-      throw new Error('Must be level 100 to prestige');
+  removeXP(xp) {
+    const levelBefore = this.level;
+
+    this.currentXP -= xp;
+    this.totalXP = Math.max(0, this.totalXP - xp);
+
+    // Borrow from previous levels
+    while (this.currentXP < 0 && this.level > 1) {
+      this.level--;
+      this.currentXP += this.getXPForNextLevel();
+    }
+    // XP earned before a prestige can't be taken from the new cycle
+    this.currentXP = Math.max(0, this.currentXP);
+
+    return { leveledDown: this.level < levelBefore, newLevel: this.level, xpRemoved: xp };
+  }
+
+  /**
+   * Prestige the skill (reset to level 1, increase prestige, earn a perk point)
+   * Named so it isn't shadowed by the `prestige` count property
+   */
+  performPrestige() {
+    if (!this.isMaxLevel()) {
+      throw new Error(`Must be level ${this.getMaxLevel()} to prestige`);
     }
 
     this.level = 1;
     this.currentXP = 0;
     this.prestige++;
+    this.perkPoints++;
 
     return {
       prestigeLevel: this.prestige,
+      perkPoints: this.perkPoints,
       multiplier: this.getPrestigeMultiplier()
     };
   }
@@ -106,11 +185,91 @@ export class Skill {
    * Get progress percentage to next level
    */
   getProgressPercentage() {
-    if (this.level >= 100) return 100;
+    if (this.isMaxLevel()) return 100;
     const xpNeeded = this.getXPForNextLevel();
     return Math.floor((this.currentXP / xpNeeded) * 100);
   }
 
+  /**
+   * Remember when the skill last earned XP (restarts the decay grace period)
+   */
+  markTrained(at = new Date().toISOString()) {
+    this.lastTrainedAt = at;
+    this.decayedThrough = null;
+  }
+
+  /**
+   * Whole days left until the first day that decays (the one after the grace period)
+   * @returns {number|null} - 0 or less once rusty (decaying), null if the skill can't decay
+   */
+  getDaysUntilDecay(today = new Date()) {
+    if (!this.decay || !this.lastTrainedAt) return null;
+    return this.decay.graceDays + 1 - DateKey.daysBetween(DateKey.of(this.lastTrainedAt), DateKey.of(today));
+  }
+
+  /**
+   * Check if the skill is past its grace period and decaying
+   */
+  isRusty(today = new Date()) {
+    const daysLeft = this.getDaysUntilDecay(today);
+    return daysLeft !== null && daysLeft <= 0;
+  }
+
+  /**
+   * XP that can still decay before reaching the floor of the current tier
+   */
+  getXPAboveTierFloor() {
+    const floor = this.curve.getTierFloor(this.level);
+    return this.curve.getXPToReach(this.level) - this.curve.getXPToReach(floor) + this.currentXP;
+  }
+
+  /**
+   * Drain XP for every day since the grace period ended that hasn't been
+   * decayed yet, so days the app wasn't opened are caught up
+   * @returns {object} - { days, xpRemoved, leveledDown, newLevel }
+   */
+  applyDecay(today = new Date()) {
+    const levelBefore = this.level;
+    const daysLeft = this.getDaysUntilDecay(today);
+    if (daysLeft === null || daysLeft > 0) {
+      return { days: 0, xpRemoved: 0, leveledDown: false, newLevel: this.level };
+    }
+
+    // Decay starts on the day after the grace period, or after the last decayed day
+    const rustyDays = 1 - daysLeft;
+    const pendingDays = this.decayedThrough
+      ? Math.min(rustyDays, DateKey.daysBetween(DateKey.of(this.decayedThrough), DateKey.of(today)))
+      : rustyDays;
+
+    let xpRemoved = 0;
+    for (let day = 0; day < pendingDays; day++) {
+      const levelXP = this.curve.getXPForLevel(Math.min(this.level, this.getMaxLevel() - 1));
+      const amount = Math.min(Math.ceil(levelXP * this.decay.percentPerDay), this.getXPAboveTierFloor());
+      if (amount <= 0) break;
+
+      this.removeXP(amount);
+      xpRemoved += amount;
+    }
+
+    this.decayedThrough = today.toISOString();
+    return { days: Math.max(0, pendingDays), xpRemoved, leveledDown: this.level < levelBefore, newLevel: this.level };
+  }
+
+  /**
+   * Recompute level and current XP after switching from another curve
+   * Total XP is kept; XP earned before a prestige stays out of the current cycle
+   * @param {LevelCurve} previousCurve - Curve the current level was reached under
+   */
+  migrateCurve(previousCurve) {
+    const cycleXP = this.prestige > 0
+      ? previousCurve.getXPToReach(this.level) + this.currentXP
+      : this.totalXP;
+    const { level, currentXP } = this.curve.getLevelForXP(cycleXP);
+
+    this.level = level;
+    this.currentXP = currentXP;
+  }
+
   /**
    * Get skill data for serialization
    */
@@ -119,25 +278,49 @@ export class Skill {
       name: this.name,
       icon: this.icon,
       type: this.type,
+      color: this.color,
+      archived: this.archived,
+      decay: this.decay,
+      lastTrainedAt: this.lastTrainedAt,
+      decayedThrough: this.decayedThrough,
       level: this.level,
       currentXP: this.currentXP,
       totalXP: this.totalXP,
       prestige: this.prestige,
+      perks: this.perks,
+      perkPoints: this.perkPoints,
       tier: this.getTier(),
       progressPercentage: this.getProgressPercentage(),
-      xpForNextLevel: this.getXPForNextLevel()
+      xpForNextLevel: this.getXPForNextLevel(),
+      curve: this.curve.toJSON()
     };
   }
 
   /**
    * Create Skill from saved data
+   * Saves made under a different curve (or before curves were configurable)
+   * are migrated to the given one
+   * @param {LevelCurve|object} curve - Curve the skill uses now (default: the saved one)
    */
-  static fromJSON(data) {
-    const skill = new Skill(data.name, data.icon, data.type);
+  static fromJSON(data, curve = data.curve) {
+    const skill = new Skill(data.name, data.icon, data.type, curve);
+    skill.color = data.color || null;
+    skill.archived = data.archived || false;
+    skill.decay = data.decay === undefined ? { ...Skill.DEFAULT_DECAY } : data.decay;
+    skill.lastTrainedAt = data.lastTrainedAt || null;
+    skill.decayedThrough = data.decayedThrough || null;
     skill.level = data.level || 1;
     skill.currentXP = data.currentXP || 0;
     skill.totalXP = data.totalXP || 0;
     skill.prestige = data.prestige || 0;
+    Object.assign(skill, data.perks
+      ? { perks: { ...data.perks }, perkPoints: data.perkPoints || 0 }
+      : PerkTree.fromPrestige(skill.prestige));
+
+    const savedCurve = LevelCurve.fromJSON(data.curve);
+    if (!savedCurve.equals(skill.curve)) {
+      skill.migrateCurve(savedCurve);
+    }
     return skill;
   }
 }
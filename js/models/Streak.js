@@ -0,0 +1,90 @@
+/**
+ * Streak
+ * Consecutive-day counters: the global streak, one per routine, and the
+ * perfect day streak (every scheduled routine done)
+ * Streaks are plain { current, longest, lastCompleted } objects so they can be
+ * copied, compared and stored as they are
+ */
+
+import { DateKey } from './DateKey.js';
+
+export class Streak {
+  /**
+   * Streaks that streak bonuses and achievements can be based on:
+   *   global:  days any routine was completed
+   *   routine: the completed routine's own streak (achievements use the best one)
+   *   perfect: days every scheduled routine was completed
+   */
+  static SOURCES = ['global', 'routine', 'perfect'];
+
+  /**
+   * Display names for SOURCES
+   */
+  static LABELS = {
+    global: 'Any routine',
+    routine: 'Per routine',
+    perfect: 'Perfect days'
+  };
+
+  /**
+   * New empty streak
+   */
+  static create() {
+    return { current: 0, longest: 0, lastCompleted: null };
+  }
+
+  /**
+   * Count a completion today
+   * @param {object} streak - Streak to advance (not modified)
+   * @param {function} isCountedDay - (date) => boolean, days that break the
+   *   streak when skipped (scheduled, not a rest day...)
+   * @param {function} protect - (missedDays) => boolean, true if the missed
+   *   days are covered anyway (streak freezes); called before the copy is made
+   * @returns {object} - Updated copy of the streak
+   */
+  static record(streak, isCountedDay = () => true, protect = () => false, today = new Date()) {
+    const lastCompleted = streak.lastCompleted ? new Date(streak.lastCompleted) : null;
+    let current = streak.current;
+
+    // First completion or continuing streak
+    if (!lastCompleted) {
+      current = 1;
+    } else if (DateKey.of(lastCompleted) !== DateKey.of(today)) {
+      const missed = Streak.getMissedDays(lastCompleted, today, isCountedDay);
+      current = missed.length === 0 || protect(missed) ? current + 1 : 1;
+    }
+    // If already completed today, don't change streak
+
+    return {
+      ...streak,
+      current,
+      longest: Math.max(streak.longest, current),
+      lastCompleted: today.toISOString()
+    };
+  }
+
+  /**
+   * Get counted days strictly between the days of two instants (the days a streak would miss)
+   * @returns {array} - Date objects (see DateKey.toDay) of missed days
+   */
+  static getMissedDays(from, to, isCountedDay = () => true) {
+    const missed = [];
+    const last = DateKey.of(to);
+
+    for (let key = DateKey.addDays(DateKey.of(from), 1); key < last; key = DateKey.addDays(key, 1)) {
+      const day = DateKey.toDay(key);
+      if (isCountedDay(day)) {
+        missed.push(day);
+      }
+    }
+
+    return missed;
+  }
+
+  /**
+   * Check if two streaks are identical (used to rewind only untouched streaks)
+   */
+  static equals(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
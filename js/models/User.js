@@ -4,6 +4,11 @@
  */
 
 import { Skill } from './Skill.js';
+import { LevelCurve } from './LevelCurve.js';
+import { XPLedger } from './XPLedger.js';
+import { DateKey } from './DateKey.js';
+import { Streak } from './Streak.js';
+import { PerkTree } from './PerkTree.js';
 
 export class User {
   constructor(username = 'Hunter') {
@@ -11,32 +16,81 @@ export class User {
     this.createdAt = new Date().toISOString();
     this.lastActive = new Date().toISOString();
 
-    // Initialize all 6 skills
-    this.skills = {
-      physical: new Skill('Physical', '💪', 'physical'),
-      mental: new Skill('Mental', '🧠', 'mental'),
-      discipline: new Skill('Discipline', '🎯', 'discipline'),
-      productivity: new Skill('Productivity', '⚡', 'productivity'),
-      logic: new Skill('Logic', '🧩', 'logic'),
-      coding: new Skill('Coding', '💻', 'coding')
-    };
+    // Initialize built-in skills (custom ones are added with addCustomSkill())
+    this.skills = {};
+    for (const [type, definition] of Object.entries(User.DEFAULT_SKILLS)) {
+      this.skills[type] = new Skill(definition.name, definition.icon, type, definition.curve);
+    }
 
-    // Streak tracking
+    // Streak tracking: the global streak (any routine completed) holds the freezes
     this.streak = {
-      current: 0,
-      longest: 0,
-      lastCompleted: null
+      ...Streak.create(),
+      freezes: 0, // Tokens that protect a missed day
+      frozenDays: [], // YYYY-MM-DD days a freeze was used for
+      freezeMonth: null // YYYY-MM of the last monthly freeze refill
     };
+    this.routineStreaks = {}; // routineId -> streak of that routine
+    this.perfectStreak = Streak.create(); // Days every scheduled routine was completed
 
     // Stats
     this.stats = {
       totalRoutinesCompleted: 0,
       totalTasksCompleted: 0,
       totalXPEarned: 0,
-      achievements: []
+      achievements: [] // Unlock records, see unlockAchievement()
+    };
+
+    // Preferences
+    this.settings = {
+      activeModes: [], // Manual routine modes switched on, e.g. ['travel']
+      skillDecay: false, // Neglected skills lose XP (see Skill.applyDecay)
+      freezesPerMonth: 1, // Streak freezes granted at the start of each month
+      restDays: [], // Planned YYYY-MM-DD days off that don't break the streak
+      streakBonusSource: 'global', // Streak the XP bonus is based on (see Streak.SOURCES)
+      achievementStreakSource: 'global', // Streak that streak achievements count
+      dayStartHour: 0, // Hour the day rolls over at, so late nights count for the evening before
+      timeZone: DateKey.getDeviceTimeZone() // Home time zone days are counted in, kept when travelling
     };
+
+    // Achievements the user created (definitions, see AchievementManager.addCustomAchievement)
+    this.customAchievements = [];
+
+    // Achievement definitions last re-evaluated against the full history
+    // (see AchievementManager.getSignature)
+    this.achievementSignature = null;
+
+    // XP formula the totals were computed with (see applyFormulaVersion)
+    this.xpFormulaVersion = User.XP_FORMULA_VERSION;
+
+    // Every progression change, stored separately from the totals above
+    this.ledger = new XPLedger();
   }
 
+  /**
+   * Built-in skills every user starts with
+   * A definition may set `curve` (see LevelCurve) to level differently from
+   * the default 100 * level^1.5 up to 100; saves are migrated on load
+   */
+  static DEFAULT_SKILLS = {
+    physical: { name: 'Physical', icon: '💪' },
+    mental: { name: 'Mental', icon: '🧠' },
+    discipline: { name: 'Discipline', icon: '🎯' },
+    productivity: { name: 'Productivity', icon: '⚡' },
+    logic: { name: 'Logic', icon: '🧩' },
+    coding: { name: 'Coding', icon: '💻' }
+  };
+
+  /**
+   * Bump when a change to XP multipliers or level curves should apply to
+   * everything already earned: each user is rebalanced once on their next load
+   */
+  static XP_FORMULA_VERSION = 1;
+
+  /**
+   * Skill types end up in onclick handlers, so they are slugs
+   */
+  static SKILL_TYPE_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
   /**
    * Streak bonus tiers
    */
@@ -49,25 +103,106 @@ export class User {
     { days: 100, bonus: 0.50, name: '100 Day Streak' }
   ];
 
+  /**
+   * Streak freeze limits: at most `max` held at once, one earned every
+   * `earnEvery` days of streak
+   */
+  static STREAK_FREEZES = { max: 5, earnEvery: 7 };
+
+  /**
+   * Get a streak by kind
+   * @param {string} kind - 'global', 'routine' or 'perfect'
+   * @param {string} routineId - Routine of a 'routine' streak
+   */
+  getStreak(kind = 'global', routineId = null) {
+    if (kind === 'perfect') return this.perfectStreak;
+    if (kind === 'routine') return this.routineStreaks[routineId] || Streak.create();
+    return this.streak;
+  }
+
+  /**
+   * Replace a streak by kind
+   */
+  setStreak(kind, routineId, streak) {
+    if (kind === 'perfect') {
+      this.perfectStreak = streak;
+    } else if (kind === 'routine') {
+      this.routineStreaks[routineId] = streak;
+    } else {
+      this.streak = streak;
+    }
+  }
+
+  /**
+   * Streak the XP bonus is based on, per settings.streakBonusSource
+   * Without a routine (e.g. the profile summary) a per-routine bonus has no streak
+   */
+  getBonusStreak(routineId = null) {
+    const kind = this.settings.streakBonusSource;
+    if (kind === 'routine' && !routineId) return Streak.create();
+    return this.getStreak(kind, routineId);
+  }
+
+  /**
+   * Choose the streak a setting is based on
+   * @param {string} setting - 'streakBonusSource' or 'achievementStreakSource'
+   * @param {string} source - One of Streak.SOURCES
+   * @throws {Error} - If the setting or source is unknown
+   */
+  setStreakSource(setting, source) {
+    if (!['streakBonusSource', 'achievementStreakSource'].includes(setting)) {
+      throw new Error(`Unknown streak setting "${setting}"`);
+    }
+    if (!Streak.SOURCES.includes(source)) {
+      throw new Error(`Unknown streak source "${source}"`);
+    }
+    this.settings[setting] = source;
+  }
+
+  /**
+   * Streak length streak achievements count, per settings.achievementStreakSource
+   * (for per-routine streaks, the best current one)
+   */
+  getAchievementStreak() {
+    const kind = this.settings.achievementStreakSource;
+    if (kind === 'routine') {
+      return Math.max(0, ...Object.values(this.routineStreaks).map(streak => streak.current));
+    }
+    return this.getStreak(kind).current;
+  }
+
   /**
    * Get current streak bonus multiplier
+   * @param {string} routineId - Routine the XP is for (used by per-routine bonuses)
+   * @param {string} skillType - Skill the XP is for, whose Momentum perk strengthens the bonus
    */
-  getStreakBonus() {
+  getStreakBonus(routineId = null, skillType = null) {
+    const current = this.getBonusStreak(routineId).current;
     let bonus = 0;
     for (const tier of User.STREAK_BONUSES) {
-      if (this.streak.current >= tier.days) {
+      if (current >= tier.days) {
         bonus = tier.bonus;
       }
     }
-    return bonus;
+
+    const perkBonus = this.skills[skillType]?.getPerkEffect('streakBonus') || 0;
+    return bonus * (1 + perkBonus);
+  }
+
+  /**
+   * Total of a perk effect over all active skills (for user-wide perks like freezes)
+   */
+  getPerkEffect(effectName) {
+    return this.getActiveSkills().reduce((total, skill) => total + skill.getPerkEffect(effectName), 0);
   }
 
   /**
    * Get active streak tier name
    */
-  getStreakTierName() {
+  getStreakTierName(routineId = null) {
+    const current = this.getBonusStreak(routineId).current;
     for (let i = User.STREAK_BONUSES.length - 1; i >= 0; i--) {
-      if (this.streak.current >= User.STREAK_BONUSES[i].days) {
+      if (current >= User.STREAK_BONUSES[i].days) {
         return User.STREAK_BONUSES[i].name;
       }
     }
@@ -75,125 +210,873 @@ export class User {
   }
 
   /**
-   * Update streak based on routine completion
+   * Update the global streak based on routine completion
+   * @param {function} isScheduledDay - (date) => boolean, whether any routine
+   *   was due that day. Unscheduled days between completions don't break the streak.
    */
-  updateStreak() {
-    const today = new Date().toDateString();
-    const lastCompleted = this.streak.lastCompleted
-      ? new Date(this.streak.lastCompleted).toDateString()
-      : null;
-
-    // First completion or continuing streak
-    if (!lastCompleted) {
-      this.streak.current = 1;
-    } else if (lastCompleted !== today) {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      const yesterdayStr = yesterday.toDateString();
+  updateStreak(isScheduledDay = () => true) {
+    const before = this.streak.current;
 
-      if (lastCompleted === yesterdayStr) {
-        // Continuing streak
-        this.streak.current++;
-      } else {
-        // Streak broken
-        this.streak.current = 1;
+    // Planned rest days are skipped like unscheduled days; freezes cover the rest if there are enough
+    this.streak = Streak.record(
+      this.streak,
+      day => isScheduledDay(day) && !this.isRestDay(day),
+      missed => {
+        if (missed.length > this.streak.freezes) return false;
+        this.useStreakFreezes(missed);
+        return true;
       }
+    );
+
+    if (this.streak.current > before && this.streak.current % User.STREAK_FREEZES.earnEvery === 0) {
+      this.streak.freezes = Math.min(User.STREAK_FREEZES.max, this.streak.freezes + 1);
     }
-    // If already completed today, don't change streak
 
-    this.streak.lastCompleted = new Date().toISOString();
+    return this.streak.current;
+  }
+
+  /**
+   * Update a routine's own streak
+   * Days covered by a streak freeze or planned as rest don't break it
+   * @param {function} isRoutineScheduled - (date) => boolean, whether the routine was due
+   * @returns {object} - Credit { routineId, before, after }
+   */
+  updateRoutineStreak(routineId, isRoutineScheduled = () => true) {
+    const before = this.getStreak('routine', routineId);
+    const after = Streak.record(before, day => isRoutineScheduled(day) && !this.isRestDay(day) && !this.isFrozenDay(day));
+    this.routineStreaks[routineId] = after;
+    return { routineId, before, after };
+  }
 
-    // Update longest streak
-    if (this.streak.current > this.streak.longest) {
-      this.streak.longest = this.streak.current;
+  /**
+   * Update the perfect day streak once every routine due today is done
+   * @param {function} isScheduledDay - (date) => boolean, whether any routine was due
+   * @returns {object} - Credit { before, after }
+   */
+  updatePerfectStreak(isScheduledDay = () => true) {
+    const before = this.perfectStreak;
+    const after = Streak.record(before, day => isScheduledDay(day) && !this.isRestDay(day) && !this.isFrozenDay(day));
+    this.perfectStreak = after;
+    return { before, after };
+  }
+
+  /**
+   * Spend freezes on missed days
+   * @param {array} days - Date objects of the missed days
+   */
+  useStreakFreezes(days) {
+    this.streak.freezes -= days.length;
+    // Only recent days are shown in history
+    this.streak.frozenDays = [...this.streak.frozenDays, ...days.map(day => DateKey.from(day))].slice(-30);
+  }
+
+  /**
+   * Grant this month's freezes once per calendar month
+   * @returns {boolean} - True if freezes were granted
+   */
+  refillStreakFreezes(today = new Date()) {
+    const month = DateKey.of(today).slice(0, 7);
+    if (this.streak.freezeMonth === month) return false;
+
+    const streakBefore = { ...this.streak };
+    const monthly = this.settings.freezesPerMonth + this.getPerkEffect('freezes');
+    this.streak.freezes = Math.min(User.STREAK_FREEZES.max, this.streak.freezes + monthly);
+    this.streak.freezeMonth = month;
+    this.recordStreakChange(streakBefore);
+    return true;
+  }
+
+  /**
+   * Check if a day was protected by a streak freeze
+   */
+  isFrozenDay(date) {
+    return this.streak.frozenDays.includes(DateKey.from(date));
+  }
+
+  /**
+   * Check if a day is a planned rest day
+   */
+  isRestDay(date) {
+    return this.settings.restDays.includes(DateKey.from(date));
+  }
+
+  /**
+   * Plan a rest day; only today or later can be planned
+   * @param {string} dateKey - YYYY-MM-DD
+   * @throws {Error} - If the day is in the past
+   */
+  addRestDay(dateKey, today = new Date()) {
+    if (!DateKey.isKey(dateKey)) {
+      throw new Error('Pick a date for the rest day');
+    }
+    if (dateKey < DateKey.of(today)) {
+      throw new Error('Rest days have to be planned in advance');
     }
 
-    return this.streak.current;
+    if (!this.settings.restDays.includes(dateKey)) {
+      this.settings.restDays = [...this.settings.restDays, dateKey].sort();
+    }
+  }
+
+  /**
+   * Cancel a planned rest day
+   */
+  removeRestDay(dateKey) {
+    this.settings.restDays = this.settings.restDays.filter(day => day !== dateKey);
   }
 
   /**
    * Add XP to specific skill
    * @param {string} skillType - Type of skill (physical, mental, etc.)
    * @param {number} xp - Amount of XP to add
+   * @param {object} source - Where the XP came from ({ routineId, itemId, date }), for the ledger
    */
-  addSkillXP(skillType, xp) {
+  addSkillXP(skillType, xp, source = null) {
     if (!this.skills[skillType]) {
       console.warn(`Skill type "${skillType}" not found`);
       return null;
     }
+    if (this.skills[skillType].archived) {
+      return null;
+    }
 
-    const streakBonus = this.getStreakBonus();
-    const result = this.skills[skillType].addXP(xp, streakBonus);
+    const skill = this.skills[skillType];
+    const streakBonus = this.getStreakBonus(source?.routineId, skillType);
+    const prestigeMultiplier = skill.getPrestigeMultiplier();
+    const result = skill.addXP(xp, streakBonus);
+    skill.markTrained();
 
     this.stats.totalXPEarned += result.xpGained;
     this.lastActive = new Date().toISOString();
 
+    const event = this.ledger.append('xp_granted', {
+      skill: skillType,
+      baseXP: xp,
+      multipliers: { prestige: prestigeMultiplier, streak: streakBonus },
+      xpGained: result.xpGained,
+      source
+    });
+
     return {
       skill: skillType,
       ...result,
-      streakBonus: streakBonus
+      streakBonus: streakBonus,
+      eventId: event.id
     };
   }
 
   /**
    * Add XP from routine item rewards
    * @param {object} skillRewards - Object with skill types and XP amounts
+   * @param {number} scale - Share of the rewards earned (quantitative items)
+   * @param {object} source - Passed to addSkillXP()
    * @returns {array} - Array of skill level up results
    */
-  addRoutineRewards(skillRewards) {
+  addRoutineRewards(skillRewards, scale = 1, source = null) {
     const results = [];
 
     for (const [skillType, xp] of Object.entries(skillRewards)) {
-      const result = this.addSkillXP(skillType, xp);
+      const result = this.addSkillXP(skillType, xp * scale, source);
       if (result) {
-        results.push(result);
+        results.push(result, ...this.addSpilloverXP(skillType, result, source));
       }
     }
 
     return results;
   }
 
+  /**
+   * Share part of a grant among the other active skills (Spillover perk)
+   * Spilled XP gets no multipliers and doesn't count as training
+   * @param {object} grant - Result of addSkillXP() for the skill with the perk
+   * @returns {array} - addSkillXP()-like results with `spilloverFrom`
+   */
+  addSpilloverXP(skillType, grant, source = null) {
+    const targets = this.getActiveSkills().filter(skill => skill.type !== skillType);
+    if (targets.length === 0) return [];
+
+    const share = this.skills[skillType].getPerkEffect('spillover') / targets.length;
+    const xp = Math.floor(grant.xpGained * share);
+    if (!(xp > 0)) return [];
+
+    return targets.map(skill => {
+      const result = skill.gainXP(xp);
+      this.stats.totalXPEarned += xp;
+
+      const event = this.ledger.append('xp_granted', {
+        skill: skill.type,
+        baseXP: xp,
+        multipliers: { spillover: share },
+        xpGained: xp,
+        spilloverFrom: grant.eventId,
+        source
+      });
+
+      return { skill: skill.type, ...result, xpGained: xp, streakBonus: 0, spilloverFrom: skillType, eventId: event.id };
+    });
+  }
+
+  /**
+   * Take back XP results returned by addSkillXP() / addRoutineRewards()
+   * @param {array} xpResults - [{ skill, xpGained, eventId }]
+   * @param {object} source - Where the revocation came from, for the ledger
+   * @returns {array} - [{ skill, xpRemoved, leveledDown, newLevel }]
+   */
+  revokeRoutineRewards(xpResults, source = null) {
+    const results = [];
+
+    for (const { skill: skillType, xpGained, eventId } of xpResults) {
+      const skill = this.skills[skillType];
+      if (!skill || !xpGained) continue;
+
+      const result = skill.removeXP(xpGained);
+      this.stats.totalXPEarned = Math.max(0, this.stats.totalXPEarned - xpGained);
+      this.ledger.append('xp_revoked', { skill: skillType, xpRemoved: xpGained, grantId: eventId || null, source });
+      results.push({ skill: skillType, ...result });
+    }
+
+    return results;
+  }
+
   /**
    * Complete a routine task
    */
-  completeTask() {
+  completeTask(source = null) {
     this.stats.totalTasksCompleted++;
     this.lastActive = new Date().toISOString();
+    this.ledger.append('task_completed', { source });
+  }
+
+  /**
+   * Undo a completed task
+   */
+  uncompleteTask(source = null) {
+    this.stats.totalTasksCompleted = Math.max(0, this.stats.totalTasksCompleted - 1);
+    this.ledger.append('task_uncompleted', { source });
   }
 
   /**
    * Complete an entire routine
+   * @param {object} schedule - {
+   *   isScheduledDay(date): whether any routine was due (global and perfect day streaks),
+   *   routineId, isRoutineScheduled(date): whether the completed routine was due (its own streak),
+   *   isPerfectDay: every routine due today is now done
+   * }
+   * @returns {object} - Credit for uncompleteRoutine():
+   *   { streakBefore, streakAfter, routineStreak: { routineId, before, after }, perfectStreak: { before, after } }
    */
-  completeRoutine() {
+  completeRoutine(schedule = {}, source = null) {
+    // A new month's freezes can already protect the days before this completion
+    this.refillStreakFreezes();
+    const streakBefore = { ...this.streak };
+
     this.stats.totalRoutinesCompleted++;
-    this.updateStreak();
+    this.updateStreak(schedule.isScheduledDay);
     this.lastActive = new Date().toISOString();
+
+    this.ledger.append('routine_completed', { source });
+    this.recordStreakChange(streakBefore, source);
+
+    const credit = { streakBefore, streakAfter: { ...this.streak } };
+
+    if (schedule.routineId) {
+      credit.routineStreak = this.updateRoutineStreak(schedule.routineId, schedule.isRoutineScheduled);
+      this.recordStreakChange(credit.routineStreak.before, source, 'routine', schedule.routineId);
+    }
+    if (schedule.isPerfectDay) {
+      credit.perfectStreak = this.updatePerfectStreak(schedule.isScheduledDay);
+      this.recordStreakChange(credit.perfectStreak.before, source, 'perfect');
+    }
+
+    return credit;
   }
 
   /**
-   * Unlock an achievement
+   * Undo a routine completion
+   * Streaks are only rewound if nothing changed them since; when another
+   * routine was completed later the day keeps its streak credit
+   * @param {object|null} credit - Returned by completeRoutine()
+   * @param {object|null} perfectCredit - Perfect day credit held by another
+   *   routine's completion that the day no longer deserves
+   */
+  uncompleteRoutine(credit, source = null, perfectCredit = null) {
+    this.stats.totalRoutinesCompleted = Math.max(0, this.stats.totalRoutinesCompleted - 1);
+    this.ledger.append('routine_uncompleted', { source });
+
+    if (credit) {
+      this.rewindStreak('global', null, { before: credit.streakBefore, after: credit.streakAfter }, source);
+    }
+    if (credit?.routineStreak) {
+      this.rewindStreak('routine', credit.routineStreak.routineId, credit.routineStreak, source);
+    }
+    const perfect = credit?.perfectStreak || perfectCredit;
+    if (perfect) {
+      this.rewindStreak('perfect', null, perfect, source);
+    }
+  }
+
+  /**
+   * Restore a streak to what it was before a completion, if it's unchanged since
+   * @param {object} credit - { before, after }
+   */
+  rewindStreak(kind, routineId, credit, source = null) {
+    const current = this.getStreak(kind, routineId);
+    if (!Streak.equals(current, credit.after)) return;
+
+    this.setStreak(kind, routineId, { ...credit.before });
+    this.recordStreakChange(current, source, kind, routineId);
+  }
+
+  /**
+   * Record a streak change in the ledger (no-op if the streak didn't change)
+   * @param {string} kind - 'global', 'routine' or 'perfect'
    */
-  unlockAchievement(achievementId) {
-    if (!this.stats.achievements.includes(achievementId)) {
-      this.stats.achievements.push(achievementId);
-      return true;
+  recordStreakChange(from, source = null, kind = 'global', routineId = null) {
+    const to = this.getStreak(kind, routineId);
+    if (!Streak.equals(from, to)) {
+      this.ledger.append('streak_changed', {
+        ...(kind === 'global' ? {} : { streak: kind }),
+        ...(routineId ? { routineId } : {}),
+        from,
+        to: { ...to },
+        source
+      });
     }
-    return false;
+  }
+
+  /**
+   * Prestige a skill
+   * @returns {object} - { prestigeLevel, multiplier }
+   */
+  prestigeSkill(skillType) {
+    const result = this.skills[skillType].performPrestige();
+    this.ledger.append('prestige', { skill: skillType, prestigeLevel: result.prestigeLevel, perkPoints: result.perkPoints });
+    return result;
+  }
+
+  /**
+   * Spend one of a skill's prestige points on a perk
+   * @returns {number} - The perk's new rank
+   * @throws {Error} - If the perk can't take another rank (see PerkTree.getLockReason)
+   */
+  unlockPerk(skillType, perkId) {
+    const skill = this.skills[skillType];
+    if (!skill) {
+      throw new Error(`Skill type "${skillType}" not found`);
+    }
+
+    const rank = skill.unlockPerk(perkId);
+    this.ledger.append('perk_unlocked', { skill: skillType, perk: perkId, rank });
+    return rank;
+  }
+
+  /**
+   * Unlock an achievement
+   * @param {object} context - See getUnlockContext()
+   * @param {string} unlockedAt - When it was earned, if earlier than now (backdated unlocks)
+   * @returns {object} - The unlock record { id, unlockedAt, context } (the
+   *   existing one if it was already unlocked)
+   */
+  unlockAchievement(achievementId, context = null, unlockedAt = new Date().toISOString()) {
+    const existing = this.stats.achievements.find(record => record.id === achievementId);
+    if (existing) return existing;
+
+    const record = { id: achievementId, unlockedAt, context };
+    this.stats.achievements.push(record);
+    return record;
+  }
+
+  /**
+   * What the user was doing right now, stored with achievement unlocks:
+   * the routine and skill of the latest XP grant, that skill's level and the
+   * achievement streak (see getAchievementStreak())
+   * @returns {object} - { eventId, routineId, skill, level, streak }
+   */
+  getUnlockContext() {
+    const grant = [...this.ledger.events].reverse().find(event => event.type === 'xp_granted');
+    return {
+      eventId: grant?.id || null,
+      routineId: grant?.source?.routineId || null,
+      skill: grant?.skill || null,
+      level: grant ? this.skills[grant.skill]?.level ?? null : null,
+      streak: this.getAchievementStreak()
+    };
+  }
+
+  /**
+   * Keep a custom achievement definition with the user's data
+   */
+  addCustomAchievement(definition) {
+    this.customAchievements = [...this.customAchievements, definition];
+  }
+
+  /**
+   * Forget a custom achievement and its unlock
+   */
+  removeCustomAchievement(achievementId) {
+    this.customAchievements = this.customAchievements.filter(definition => definition.id !== achievementId);
+    this.stats.achievements = this.stats.achievements.filter(record => record.id !== achievementId);
   }
 
   /**
    * Get total level across all skills
    */
   getTotalLevel() {
-    return Object.values(this.skills).reduce((sum, skill) => sum + skill.level, 0);
+    return this.getActiveSkills().reduce((sum, skill) => sum + skill.level, 0);
   }
 
   /**
    * Get average skill level
    */
   getAverageLevel() {
-    const totalLevels = this.getTotalLevel();
-    return Math.floor(totalLevels / Object.keys(this.skills).length);
+    const activeSkills = this.getActiveSkills();
+    if (activeSkills.length === 0) return 0;
+    return Math.floor(this.getTotalLevel() / activeSkills.length);
+  }
+
+  /**
+   * Get skills that aren't archived
+   */
+  getActiveSkills() {
+    return Object.values(this.skills).filter(skill => !skill.archived);
+  }
+
+  /**
+   * Check if a skill type was added by the user rather than built in
+   */
+  isCustomSkill(skillType) {
+    return Boolean(this.skills[skillType]) && !User.DEFAULT_SKILLS[skillType];
+  }
+
+  /**
+   * Add a user-defined skill
+   * @param {object} definition - { name, icon, color, type, curve }; type defaults to the name as a slug
+   * @returns {Skill}
+   * @throws {Error} - If the name is missing or the type is taken
+   */
+  addCustomSkill(definition) {
+    const name = (definition.name || '').trim();
+    if (!name) {
+      throw new Error('Skill name is required');
+    }
+
+    User.validateSkillDisplay(name, definition.icon, definition.color);
+
+    const type = definition.type || User.slugifySkillType(name);
+    if (!User.SKILL_TYPE_PATTERN.test(type)) {
+      throw new Error(`"${type}" is not a valid skill ID (use lowercase letters, digits and dashes)`);
+    }
+    if (this.skills[type]) {
+      throw new Error(`A skill with ID "${type}" already exists`);
+    }
+
+    const skill = new Skill(name, definition.icon || '✨', type, definition.curve);
+    skill.color = definition.color || null;
+    this.skills[type] = skill;
+    return skill;
+  }
+
+  /**
+   * Reject names, icons and colors that can't be shown safely in the UI
+   * @throws {Error}
+   */
+  static validateSkillDisplay(name, icon, color) {
+    if ([name, icon].some(value => value && /[<>&"'`]/.test(value))) {
+      throw new Error('Skill names and icons can\'t contain < > & " \' or `');
+    }
+    if (name && name.length > 30) {
+      throw new Error('Skill names are limited to 30 characters');
+    }
+    if (color && !/^#[0-9a-f]{3,8}$/i.test(color)) {
+      throw new Error(`"${color}" is not a hex color`);
+    }
+  }
+
+  /**
+   * Turn a skill name into a skill type, e.g. "Sign Language" -> "sign-language"
+   */
+  static slugifySkillType(name) {
+    return name
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Archive a skill: hidden from the profile and earns no XP, but its
+   * levels, prestige and ledger history are kept
+   */
+  archiveSkill(skillType) {
+    if (!this.skills[skillType]) return false;
+    this.skills[skillType].archived = true;
+    return true;
+  }
+
+  /**
+   * Bring an archived skill back
+   */
+  restoreSkill(skillType, today = new Date()) {
+    const skill = this.skills[skillType];
+    if (!skill) return false;
+
+    skill.archived = false;
+    // Time spent archived doesn't decay
+    if (skill.isRusty(today)) {
+      skill.decayedThrough = today.toISOString();
+    }
+    return true;
+  }
+
+  /**
+   * Turn skill decay on or off
+   * Turning it on starts counting from today, so time spent with decay off isn't drained
+   * @returns {boolean} - True if decay is now on
+   */
+  toggleSkillDecay(today = new Date()) {
+    this.settings.skillDecay = !this.settings.skillDecay;
+    if (this.settings.skillDecay) {
+      for (const skill of Object.values(this.skills)) {
+        if (skill.isRusty(today)) {
+          skill.decayedThrough = today.toISOString();
+        }
+      }
+    }
+    return this.settings.skillDecay;
+  }
+
+  /**
+   * Set how many inactive days a skill tolerates before decaying
+   * @param {number} graceDays - 0 turns decay off for the skill
+   */
+  setSkillDecayDays(skillType, graceDays) {
+    const skill = this.skills[skillType];
+    if (!skill) return;
+
+    skill.decay = graceDays > 0
+      ? { ...(skill.decay || Skill.DEFAULT_DECAY), graceDays: Math.round(graceDays) }
+      : null;
+  }
+
+  /**
+   * Drain XP from skills that haven't been trained within their grace period
+   * @returns {array} - [{ skill, days, xpRemoved, leveledDown, newLevel }] for skills that lost XP
+   */
+  applySkillDecay(today = new Date()) {
+    if (!this.settings.skillDecay) return [];
+
+    const results = [];
+    for (const skill of this.getActiveSkills()) {
+      const result = skill.applyDecay(today);
+      if (result.xpRemoved > 0) {
+        this.ledger.append('xp_decayed', {
+          skill: skill.type,
+          xpRemoved: result.xpRemoved,
+          days: result.days,
+          through: skill.decayedThrough
+        });
+        results.push({ skill: skill.type, ...result });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Change when days roll over and which time zone they're counted in
+   * @param {object} daySettings - { dayStartHour, timeZone }, missing fields are kept
+   * @throws {Error} - If the settings are invalid (see DateKey.validate)
+   */
+  setDaySettings({ dayStartHour = this.settings.dayStartHour, timeZone = this.settings.timeZone } = {}) {
+    DateKey.validate({ dayStartHour, timeZone });
+    this.settings.dayStartHour = dayStartHour;
+    this.settings.timeZone = timeZone;
+  }
+
+  /**
+   * Switch a routine mode on or off
+   * @returns {boolean} - True if the mode is now active
+   */
+  toggleMode(mode) {
+    const modes = this.settings.activeModes;
+    if (modes.includes(mode)) {
+      this.settings.activeModes = modes.filter(m => m !== mode);
+      return false;
+    }
+    this.settings.activeModes = [...modes, mode];
+    return true;
+  }
+
+  /**
+   * Attach a loaded ledger
+   * Progress made before the ledger existed is recorded as an opening
+   * snapshot so replays start from it
+   */
+  setLedger(ledger) {
+    this.ledger = ledger;
+    if (ledger.isEmpty() && this.hasProgress()) {
+      ledger.append('snapshot', this.getProgressState());
+    }
+  }
+
+  /**
+   * Check if the user has any progression to account for
+   */
+  hasProgress() {
+    return this.stats.totalXPEarned > 0
+      || this.stats.totalTasksCompleted > 0
+      || this.stats.totalRoutinesCompleted > 0
+      || this.streak.current > 0
+      || Object.values(this.skills).some(skill => skill.totalXP > 0 || skill.prestige > 0);
+  }
+
+  /**
+   * Current progression totals, as recorded in snapshot events
+   */
+  getProgressState() {
+    return {
+      skills: Object.fromEntries(
+        Object.entries(this.skills).map(([type, skill]) => [type, {
+          level: skill.level,
+          currentXP: skill.currentXP,
+          totalXP: skill.totalXP,
+          prestige: skill.prestige,
+          perks: { ...skill.perks },
+          perkPoints: skill.perkPoints,
+          curve: skill.curve.toJSON(),
+          lastTrainedAt: skill.lastTrainedAt,
+          decayedThrough: skill.decayedThrough
+        }])
+      ),
+      stats: {
+        totalRoutinesCompleted: this.stats.totalRoutinesCompleted,
+        totalTasksCompleted: this.stats.totalTasksCompleted,
+        totalXPEarned: this.stats.totalXPEarned
+      },
+      streak: { ...this.streak },
+      routineStreaks: { ...this.routineStreaks },
+      perfectStreak: { ...this.perfectStreak }
+    };
+  }
+
+  /**
+   * Replace skills, streak and counters with a rebuilt user's (achievements are kept)
+   */
+  adoptProgress(other) {
+    this.skills = other.skills;
+    this.streak = { ...other.streak };
+    this.routineStreaks = { ...other.routineStreaks };
+    this.perfectStreak = { ...other.perfectStreak };
+    this.stats = { ...other.stats, achievements: this.stats.achievements };
+  }
+
+  /**
+   * Rebuild skills, streak and counters from the ledger, repairing totals
+   * that drifted from the recorded history (the Stats modal's repair button)
+   */
+  rebuildFromLedger() {
+    this.adoptProgress(User.replay(this.ledger, this));
+  }
+
+  /**
+   * Apply the current XP formula retroactively: every recorded grant is
+   * recalculated with today's multipliers and level curve. The result is
+   * recorded as a `rebalanced` event so plain replays reach the same totals.
+   * Runs on load when XP_FORMULA_VERSION was bumped (see applyFormulaVersion).
+   * @param {string} reason - Why the rebalance was applied (shown in the ledger)
+   * @returns {object} - Per skill { level, currentXP, totalXP, prestige, perks, perkPoints, curve, delta }
+   */
+  rebalance(reason) {
+    const rebuilt = User.replay(this.ledger, this, { recalculate: true });
+
+    const skills = {};
+    for (const [type, skill] of Object.entries(rebuilt.skills)) {
+      skills[type] = {
+        level: skill.level,
+        currentXP: skill.currentXP,
+        totalXP: skill.totalXP,
+        prestige: skill.prestige,
+        perks: { ...skill.perks },
+        perkPoints: skill.perkPoints,
+        curve: skill.curve.toJSON(),
+        delta: skill.totalXP - (this.skills[type]?.totalXP || 0)
+      };
+    }
+
+    this.ledger.append('rebalanced', { reason, skills, totalXPEarned: rebuilt.stats.totalXPEarned });
+    this.adoptProgress(rebuilt);
+    return skills;
+  }
+
+  /**
+   * Rebalance once if the XP formula changed since the totals were computed
+   * @returns {object|null} - Per skill changes (see rebalance), null if already current
+   */
+  applyFormulaVersion() {
+    const previous = this.xpFormulaVersion;
+    if (previous === User.XP_FORMULA_VERSION) return null;
+
+    this.xpFormulaVersion = User.XP_FORMULA_VERSION;
+    return this.rebalance(`XP formula v${previous} to v${User.XP_FORMULA_VERSION}`);
+  }
+
+  /**
+   * Build a user by replaying a ledger
+   * Identity, settings, skill names and unlocked achievements come from `base`
+   * @param {object} options - { recalculate, onEvent }
+   *   recalculate: recompute every grant with the current XP formula instead
+   *     of using the recorded amounts
+   *   onEvent: (user, event, index) => void, called after each event with the
+   *     state so far (the user's ledger then holds the events up to this one)
+   * @returns {User} - New user sharing the ledger
+   */
+  static replay(ledger, base = null, options = {}) {
+    const user = new User(base?.username);
+
+    if (base) {
+      user.createdAt = base.createdAt;
+      user.lastActive = base.lastActive;
+      user.settings = JSON.parse(JSON.stringify(base.settings));
+      user.stats.achievements = base.stats.achievements.map(record => ({ ...record }));
+      for (const [type, skill] of Object.entries(base.skills)) {
+        user.skills[type] = new Skill(skill.name, skill.icon, type, skill.curve);
+        user.skills[type].color = skill.color;
+        user.skills[type].archived = skill.archived;
+        user.skills[type].decay = skill.decay;
+      }
+    }
+
+    // Grant event ID -> XP gained in this replay, so revocations match recalculated grants
+    const grants = new Map();
+    ledger.events.forEach((event, index) => {
+      user.applyLedgerEvent(event, grants, options);
+      user.ledger.events.push(event);
+      options.onEvent?.(user, event, index);
+    });
+
+    user.ledger = ledger;
+    return user;
+  }
+
+  /**
+   * Apply one ledger event during replay
+   */
+  applyLedgerEvent(event, grants, options = {}) {
+    if (event.skill && !this.skills[event.skill]) {
+      this.skills[event.skill] = new Skill(event.skill, '❓', event.skill);
+    }
+    const skill = this.skills[event.skill];
+
+    switch (event.type) {
+      case 'snapshot':
+        this.applyProgressState(event);
+        break;
+      case 'xp_granted': {
+        let xpGained = event.xpGained;
+        if (options.recalculate && event.spilloverFrom) {
+          xpGained = Math.floor((grants.get(event.spilloverFrom) ?? 0) * event.multipliers.spillover);
+        } else if (options.recalculate) {
+          xpGained = skill.getAdjustedXP(event.baseXP, this.getStreakBonus(event.source?.routineId, event.skill));
+        }
+        skill.gainXP(xpGained);
+        if (!event.spilloverFrom) {
+          skill.markTrained(event.at);
+        }
+        this.stats.totalXPEarned += xpGained;
+        grants.set(event.id, xpGained);
+        break;
+      }
+      case 'xp_decayed':
+        // Decay isn't recalculated; it drained what the skill had at the time
+        skill.removeXP(event.xpRemoved);
+        skill.decayedThrough = event.through;
+        break;
+      case 'xp_revoked': {
+        const xpRemoved = grants.has(event.grantId) ? grants.get(event.grantId) : event.xpRemoved;
+        skill.removeXP(xpRemoved);
+        this.stats.totalXPEarned = Math.max(0, this.stats.totalXPEarned - xpRemoved);
+        break;
+      }
+      case 'prestige':
+        // Recalculated XP may not reach the max level, but the prestige still happened
+        skill.level = 1;
+        skill.currentXP = 0;
+        skill.prestige = event.prestigeLevel;
+        // Prestiges recorded before perks existed were a flat +5% XP each
+        Object.assign(skill, event.perkPoints === undefined
+          ? PerkTree.fromPrestige(event.prestigeLevel)
+          : { perkPoints: event.perkPoints });
+        break;
+      case 'perk_unlocked':
+        skill.perks = { ...skill.perks, [event.perk]: event.rank };
+        skill.perkPoints = Math.max(0, skill.perkPoints - 1);
+        break;
+      case 'streak_changed': {
+        const kind = event.streak || 'global';
+        this.setStreak(kind, event.routineId, { ...this.getStreak(kind, event.routineId), ...event.to });
+        break;
+      }
+      case 'task_completed':
+        this.stats.totalTasksCompleted++;
+        break;
+      case 'task_uncompleted':
+        this.stats.totalTasksCompleted = Math.max(0, this.stats.totalTasksCompleted - 1);
+        break;
+      case 'routine_completed':
+        this.stats.totalRoutinesCompleted++;
+        break;
+      case 'routine_uncompleted':
+        this.stats.totalRoutinesCompleted = Math.max(0, this.stats.totalRoutinesCompleted - 1);
+        break;
+      case 'rebalanced':
+        // A recalculating replay recomputes what this event recorded
+        if (!options.recalculate) {
+          this.applyProgressState({ skills: event.skills, stats: { totalXPEarned: event.totalXPEarned } });
+        }
+        break;
+    }
+  }
+
+  /**
+   * Set skills, counters and streak from a recorded state
+   */
+  applyProgressState(state) {
+    for (const [type, skillState] of Object.entries(state.skills || {})) {
+      if (!this.skills[type]) {
+        this.skills[type] = new Skill(type, '❓', type);
+      }
+      const skill = this.skills[type];
+      Object.assign(skill, {
+        level: skillState.level,
+        currentXP: skillState.currentXP,
+        totalXP: skillState.totalXP,
+        prestige: skillState.prestige,
+        // States recorded before perks existed
+        ...(skillState.perks
+          ? { perks: { ...skillState.perks }, perkPoints: skillState.perkPoints }
+          : PerkTree.fromPrestige(skillState.prestige))
+      });
+      if (skillState.lastTrainedAt !== undefined) {
+        skill.lastTrainedAt = skillState.lastTrainedAt;
+        skill.decayedThrough = skillState.decayedThrough;
+      }
+
+      // Recorded levels follow the curve in use when the event was written
+      const recordedCurve = LevelCurve.fromJSON(skillState.curve);
+      if (!recordedCurve.equals(skill.curve)) {
+        skill.migrateCurve(recordedCurve);
+      }
+    }
+    Object.assign(this.stats, state.stats || {});
+    if (state.streak) {
+      this.streak = { ...this.streak, ...state.streak };
+    }
+    if (state.routineStreaks) {
+      this.routineStreaks = { ...state.routineStreaks };
+    }
+    if (state.perfectStreak) {
+      this.perfectStreak = { ...state.perfectStreak };
+    }
   }
 
   /**
@@ -208,10 +1091,27 @@ export class User {
         Object.entries(this.skills).map(([key, skill]) => [key, skill.toJSON()])
       ),
       streak: this.streak,
-      stats: this.stats
+      routineStreaks: this.routineStreaks,
+      perfectStreak: this.perfectStreak,
+      stats: this.stats,
+      settings: this.settings,
+      customAchievements: this.customAchievements,
+      achievementSignature: this.achievementSignature,
+      xpFormulaVersion: this.xpFormulaVersion
     };
   }
 
+  /**
+   * Unlock record for a saved achievement; older saves stored only the ID,
+   * and when those were earned wasn't kept
+   */
+  static migrateUnlockRecord(record) {
+    if (typeof record === 'string') {
+      return { id: record, unlockedAt: null, context: null };
+    }
+    return record;
+  }
+
   /**
    * Create User from saved data
    */
@@ -221,17 +1121,48 @@ export class User {
     user.lastActive = data.lastActive;
 
     // Restore skills
+    // Saves can come from sync or a backup, which skip addCustomSkill's checks
     for (const [key, skillData] of Object.entries(data.skills)) {
-      user.skills[key] = Skill.fromJSON(skillData);
+      if (!User.SKILL_TYPE_PATTERN.test(key) || skillData.type !== key) {
+        console.warn(`Skill "${key}" has an invalid ID and was not loaded`);
+        continue;
+      }
+
+      const definition = User.DEFAULT_SKILLS[key];
+      const skill = definition
+        ? Skill.fromJSON(skillData, definition.curve || LevelCurve.DEFAULT)
+        : Skill.fromJSON(skillData);
+      try {
+        User.validateSkillDisplay(skill.name, skill.icon);
+      } catch (error) {
+        console.warn(`Skill "${key}" can't be shown as saved, using its default name and icon:`, error.message);
+        skill.name = definition?.name || key;
+        skill.icon = definition?.icon || '✨';
+      }
+      try {
+        User.validateSkillDisplay(null, null, skill.color);
+      } catch (error) {
+        console.warn(`Skill "${key}" can't be shown as saved, using the default color:`, error.message);
+        skill.color = null;
+      }
+      user.skills[key] = skill;
     }
 
-    user.streak = data.streak || { current: 0, longest: 0, lastCompleted: null };
+    user.streak = { ...user.streak, ...data.streak };
+    user.routineStreaks = data.routineStreaks || {};
+    user.perfectStreak = data.perfectStreak || Streak.create();
     user.stats = data.stats || {
       totalRoutinesCompleted: 0,
       totalTasksCompleted: 0,
       totalXPEarned: 0,
       achievements: []
     };
+    user.stats.achievements = user.stats.achievements.map(User.migrateUnlockRecord);
+    user.settings = { ...user.settings, ...data.settings };
+    user.customAchievements = data.customAchievements || [];
+    user.achievementSignature = data.achievementSignature || null;
+    // Saves from before the version was recorded were earned under the first formula
+    user.xpFormulaVersion = data.xpFormulaVersion ?? 1;
 
     return user;
   }
@@ -0,0 +1,114 @@
+/**
+ * XPLedger Class
+ * Append-only record of every progression change, so a user's totals can be
+ * audited and rebuilt by replaying it (see User.replay)
+ */
+
+export class XPLedger {
+  constructor(events = []) {
+    this.events = events.map(event => Object.freeze({ ...event }));
+  }
+
+  /**
+   * Event types and their payloads (every event also has id, type and at):
+   *   snapshot:            opening balance for progress made before the ledger existed
+   *                        { skills: { type: { level, currentXP, totalXP, prestige, perks, perkPoints, curve,
+   *                          lastTrainedAt, decayedThrough } }, stats, streak, routineStreaks, perfectStreak }
+   *   xp_granted:          { skill, baseXP, multipliers: { prestige, streak }, xpGained, source }
+   *                        or, for XP shared by a Spillover perk,
+   *                        { skill, baseXP, multipliers: { spillover }, xpGained, spilloverFrom, source }
+   *                        (spilloverFrom: the grant it was shared from)
+   *   xp_revoked:          { skill, xpRemoved, grantId, source }
+   *   xp_decayed:          { skill, xpRemoved, days, through } (through: last day decayed)
+   *   prestige:            { skill, prestigeLevel, perkPoints } (perkPoints: unspent after it;
+   *                        absent on prestiges from before perks, which were +5% XP each)
+   *   perk_unlocked:       { skill, perk, rank }
+   *   streak_changed:      { streak, routineId, from, to, source } (streak objects; `streak` is
+   *                        'routine' or 'perfect', absent for the global streak)
+   *   task_completed:      { source }
+   *   task_uncompleted:    { source }
+   *   routine_completed:   { source }
+   *   routine_uncompleted: { source }
+   *   rebalanced:          state after a retroactive recalculation
+   *                        { reason, skills: { type: { level, currentXP, totalXP, prestige, perks, perkPoints,
+   *                          curve, delta } }, totalXPEarned }
+   *
+   * `source` is { routineId, itemId, date } where known.
+   */
+  static TYPES = [
+    'snapshot',
+    'xp_granted',
+    'xp_revoked',
+    'xp_decayed',
+    'prestige',
+    'perk_unlocked',
+    'streak_changed',
+    'task_completed',
+    'task_uncompleted',
+    'routine_completed',
+    'routine_uncompleted',
+    'rebalanced'
+  ];
+
+  /**
+   * Record an event
+   * @returns {object} - The frozen event
+   */
+  append(type, data = {}) {
+    if (!XPLedger.TYPES.includes(type)) {
+      throw new Error(`Unknown ledger event type "${type}"`);
+    }
+
+    const event = Object.freeze({
+      ...data,
+      id: `e${this.events.length + 1}`,
+      type,
+      at: new Date().toISOString()
+    });
+    this.events.push(event);
+    return event;
+  }
+
+  /**
+   * Get events, optionally filtered
+   * @param {object} filter - { type, skill, routineId }
+   */
+  getEvents(filter = {}) {
+    return this.events.filter(event =>
+      (!filter.type || event.type === filter.type) &&
+      (!filter.skill || event.skill === filter.skill) &&
+      (!filter.routineId || event.source?.routineId === filter.routineId)
+    );
+  }
+
+  /**
+   * Get event by ID
+   */
+  getEvent(eventId) {
+    return this.events.find(event => event.id === eventId) || null;
+  }
+
+  /**
+   * Check if nothing has been recorded yet
+   */
+  isEmpty() {
+    return this.events.length === 0;
+  }
+
+  /**
+   * Serialize ledger data
+   */
+  toJSON() {
+    return {
+      version: 1,
+      events: this.events
+    };
+  }
+
+  /**
+   * Create XPLedger from saved data
+   */
+  static fromJSON(data) {
+    return new XPLedger(data?.events || []);
+  }
+}
@@ -3,6 +3,8 @@
  * Handles all UI animations (XP gains, level ups, achievements)
  */
 
+import { escapeHtml } from './html.js';
+
 export class AnimationManager {
   constructor() {
     this.animationQueue = [];
@@ -15,7 +17,7 @@ export class AnimationManager {
   showXPGain(xp, skillType, element) {
     const xpElement = document.createElement('div');
     xpElement.className = 'xp-gain-animation';
-    xpElement.textContent = `+${xp} XP`;
+    xpElement.textContent = `+${Math.round(xp)} XP`;
 
     // Position near the clicked element
     const rect = element.getBoundingClientRect();
@@ -61,9 +63,9 @@ export class AnimationManager {
   showAchievementUnlock(achievement, modalManager) {
     const content = `
       <div class="text-center achievement-unlock">
-        <div class="achievement-icon mb-4">${achievement.icon}</div>
-        <h3 class="mb-3">${achievement.name}</h3>
-        <p class="text-muted">${achievement.description}</p>
+        <div class="achievement-icon mb-4">${escapeHtml(achievement.icon)}</div>
+        <h3 class="mb-3">${escapeHtml(achievement.name)}</h3>
+        <p class="text-muted">${escapeHtml(achievement.description)}</p>
       </div>
     `;
 
@@ -3,6 +3,13 @@
  * Manages Bootstrap modals for various UI interactions
  */
 
+import { User } from '../models/User.js';
+import { DateKey } from '../models/DateKey.js';
+import { Streak } from '../models/Streak.js';
+import { PerkTree } from '../models/PerkTree.js';
+import { AchievementManager } from '../managers/AchievementManager.js';
+import { escapeHtml } from './html.js';
+
 export class ModalManager {
   constructor() {
     this.currentModal = null;
@@ -40,8 +47,35 @@ export class ModalManager {
 
   /**
    * Show a modal with custom content
+   * @param {object} options - { size: 'lg' | 'xl' } for wider dialogs
+   */
+  show(title, bodyContent, footerContent = null, options = {}) {
+    this.setContent(title, bodyContent, footerContent);
+
+    const dialogElement = this.modalElement.querySelector('.modal-dialog');
+    dialogElement.classList.remove('modal-lg', 'modal-xl', 'modal-dialog-scrollable');
+    if (options.size) {
+      dialogElement.classList.add(`modal-${options.size}`, 'modal-dialog-scrollable');
+    }
+
+    // Show the modal using Bootstrap
+    if (window.bootstrap) {
+      this.currentModal = bootstrap.Modal.getOrCreateInstance(this.modalElement);
+      this.currentModal.show();
+    }
+  }
+
+  /**
+   * Replace the content of the open modal without re-opening it
+   */
+  update(title, bodyContent, footerContent = null) {
+    this.setContent(title, bodyContent, footerContent);
+  }
+
+  /**
+   * Fill modal title, body and footer
    */
-  show(title, bodyContent, footerContent = null) {
+  setContent(title, bodyContent, footerContent = null) {
     const titleElement = document.getElementById('dynamic-modal-title');
     const bodyElement = document.getElementById('dynamic-modal-body');
     const footerElement = document.getElementById('dynamic-modal-footer');
@@ -54,12 +88,6 @@ export class ModalManager {
     } else {
       footerElement.innerHTML = '<button type="button" class="btn btn-primary" data-bs-dismiss="modal">OK</button>';
     }
-
-    // Show the modal using Bootstrap
-    if (window.bootstrap) {
-      this.currentModal = new bootstrap.Modal(this.modalElement);
-      this.currentModal.show();
-    }
   }
 
   /**
@@ -74,7 +102,7 @@ export class ModalManager {
   /**
    * Show stats modal
    */
-  showStats(user, achievementManager) {
+  showStats(user, achievementManager, routines = []) {
     const achievements = achievementManager.getUnlockedAchievements();
     const unlockPercentage = achievementManager.getUnlockPercentage();
     const totalLevel = user.getTotalLevel();
@@ -121,31 +149,101 @@ export class ModalManager {
       </div>
 
       <div class="mt-4">
-        <h6>Recent Achievements</h6>
+        <h6>Next Goals</h6>
         <div class="list-group">
-          ${achievements.slice(-5).reverse().map(a => `
+          ${achievementManager.getNextGoals(user, 3).map(({ achievement: a, progress }) => `
             <div class="list-group-item d-flex align-items-center gap-3">
-              <span style="font-size: 2rem;">${a.icon}</span>
-              <div>
-                <strong>${a.name}</strong>
-                <p class="mb-0 text-muted small">${a.description}</p>
+              <span style="font-size: 2rem;">${escapeHtml(a.icon)}</span>
+              <div class="flex-grow-1">
+                <strong>${escapeHtml(a.name)}</strong>
+                <p class="mb-0 text-muted small">${escapeHtml(a.description)}</p>
+                ${this.renderAchievementProgress(progress)}
               </div>
             </div>
-          `).join('')}
+          `).join('') || '<div class="list-group-item text-muted small">Every achievement is unlocked!</div>'}
+        </div>
+      </div>
+
+      <div class="mt-4">
+        <h6>Achievement Timeline</h6>
+        <div class="list-group" style="max-height: 320px; overflow-y: auto;">
+          ${achievementManager.getTimeline(user).map(entry => this.renderTimelineEntry(entry, user, routines)).join('')}
         </div>
       </div>
     `;
 
-    this.show('Your Stats', bodyContent);
+    const footer = `
+      <button type="button" class="btn btn-outline-secondary me-auto" onclick="app.repairProgress()"
+              title="Recompute levels and totals from your recorded history">Rebuild from history</button>
+      <button type="button" class="btn btn-primary" data-bs-dismiss="modal">OK</button>
+    `;
+
+    this.show('Your Stats', bodyContent, footer);
+  }
+
+  /**
+   * Render one unlock in the achievement timeline, with when it was earned
+   * and the routine, skill and streak at that moment
+   * @param {object} entry - From AchievementManager.getTimeline()
+   */
+  renderTimelineEntry({ achievement, unlockedAt, context }, user, routines) {
+    const when = unlockedAt
+      ? new Date(unlockedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+      : 'Earlier (date not recorded)';
+
+    const details = [];
+    if (context?.routineId) {
+      details.push(escapeHtml(routines.find(routine => routine.id === context.routineId)?.name || context.routineId));
+    }
+    if (context?.skill) {
+      const skill = user.skills[context.skill];
+      details.push(`${skill ? `${skill.icon} ${skill.name}` : escapeHtml(context.skill)}${context.level !== null ? ` Lv ${context.level}` : ''}`);
+    }
+    if (context?.streak) {
+      details.push(`${context.streak} 🔥`);
+    }
+
+    return `
+      <div class="list-group-item d-flex align-items-center gap-3">
+        <span style="font-size: 2rem;">${escapeHtml(achievement.icon)}</span>
+        <div class="flex-grow-1">
+          <strong>${escapeHtml(achievement.name)}</strong>
+          <p class="mb-0 text-muted small">${escapeHtml(achievement.description)}</p>
+          ${details.length > 0 ? `<small class="text-muted">${details.join(' · ')}</small>` : ''}
+        </div>
+        <small class="text-muted text-end">${when}</small>
+      </div>
+    `;
+  }
+
+  /**
+   * Show several achievement unlocks in one modal
+   * @param {array} unlocks - [{ achievement, unlockedAt, context, backdated }]
+   *   (see AchievementManager.recalculate)
+   */
+  showAchievementDigest(unlocks, user, routines = []) {
+    const backdated = unlocks.filter(unlock => unlock.backdated).length;
+
+    const bodyContent = `
+      <p class="text-muted small">
+        ${unlocks.length} achievement${unlocks.length === 1 ? '' : 's'} unlocked${backdated > 0 ? `, ${backdated} of them earned earlier and found in your history` : ''}.
+      </p>
+      <div class="list-group" style="max-height: 400px; overflow-y: auto;">
+        ${unlocks.map(unlock => this.renderTimelineEntry(unlock, user, routines)).join('')}
+      </div>
+    `;
+
+    this.show('🏆 Achievements Unlocked!', bodyContent);
   }
 
   /**
    * Show achievements modal
    */
-  showAchievements(achievementManager) {
+  showAchievements(achievementManager, user, routines = [], error = null) {
     const categories = achievementManager.getAchievementsByCategory();
 
     const bodyContent = `
+      ${error ? `<div class="alert alert-danger py-2">${escapeHtml(error)}</div>` : ''}
       <div class="achievement-list">
         ${Object.entries(categories).map(([category, achievements]) => {
           if (achievements.length === 0) return '';
@@ -153,14 +251,27 @@ export class ModalManager {
             <div class="mb-4">
               <h6 class="text-capitalize">${category} Achievements</h6>
               <div class="list-group">
-                ${achievements.map(a => `
-                  <div class="list-group-item d-flex align-items-center gap-3 ${a.isUnlocked() ? '' : 'opacity-50'}">
-                    <span style="font-size: 2rem;">${a.icon}</span>
+                ${achievementManager.sortByProgress(achievements, user).map(({ achievement: a, progress }) => a.secret && !a.isUnlocked() ? `
+                  <div class="list-group-item d-flex align-items-center gap-3">
+                    <span class="opacity-50" style="font-size: 2rem;">❔</span>
                     <div class="flex-grow-1">
-                      <strong>${a.name}</strong>
-                      <p class="mb-0 text-muted small">${a.description}</p>
+                      <strong>Secret Achievement</strong>
+                      <p class="mb-0 text-muted small">Keep going to discover it</p>
+                    </div>
+                    <span class="badge bg-secondary">Locked</span>
+                  </div>
+                ` : `
+                  <div class="list-group-item d-flex align-items-center gap-3">
+                    <span class="${a.isUnlocked() ? '' : 'opacity-50'}" style="font-size: 2rem;">${escapeHtml(a.icon)}</span>
+                    <div class="flex-grow-1">
+                      <strong>${escapeHtml(a.name)}</strong>
+                      <p class="mb-0 text-muted small">${escapeHtml(a.description)}</p>
+                      ${a.isUnlocked() ? '' : this.renderAchievementProgress(progress)}
                     </div>
                     ${a.isUnlocked() ? '<span class="badge bg-success">Unlocked</span>' : '<span class="badge bg-secondary">Locked</span>'}
+                    ${a.custom ? `
+                      <button type="button" class="btn btn-sm btn-outline-danger" onclick="app.deleteCustomAchievement('${a.id}')" title="Delete">✕</button>
+                    ` : ''}
                   </div>
                 `).join('')}
               </div>
@@ -168,15 +279,346 @@ export class ModalManager {
           `;
         }).join('')}
       </div>
+
+      ${this.renderAchievementForm(user, routines)}
     `;
 
-    this.show('Achievements', bodyContent);
+    if (this.modalElement.classList.contains('show')) {
+      this.update('Achievements', bodyContent);
+    } else {
+      this.show('Achievements', bodyContent, null, { size: 'lg' });
+    }
+  }
+
+  /**
+   * Render a locked achievement's progress bar ("37 / 100 Routines completed")
+   * @param {object} progress - From AchievementManager.getProgress()
+   */
+  renderAchievementProgress(progress) {
+    const percent = Math.floor(progress.ratio * 100);
+    return `
+      <div class="achievement-progress mt-1">
+        <div class="progress" style="height: 0.4rem;">
+          <div class="progress-bar" style="width: ${percent}%"></div>
+        </div>
+        <small class="text-muted">
+          ${Math.floor(progress.current).toLocaleString()} / ${progress.target.toLocaleString()} ${progress.label}
+        </small>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the form for creating a custom achievement: one metric comparison,
+   * or any condition written as JSON (see AchievementManager.validateCondition)
+   */
+  renderAchievementForm(user, routines) {
+    const metricsByScope = { user: 'Totals', skill: 'Skills', history: 'History', sessions: 'Sessions' };
+
+    return `
+      <h6 class="mt-4">➕ Create Achievement</h6>
+      <div class="row g-2 mb-2">
+        <div class="col-2"><input type="text" class="form-control form-control-sm" id="achievement-icon" placeholder="🏅" maxlength="4"></div>
+        <div class="col-10"><input type="text" class="form-control form-control-sm" id="achievement-name" placeholder="Name" maxlength="40"></div>
+      </div>
+      <input type="text" class="form-control form-control-sm mb-2" id="achievement-description" placeholder="Description (optional)" maxlength="80">
+
+      <div class="row g-2 mb-2">
+        <div class="col-5">
+          <select class="form-select form-select-sm" id="achievement-metric">
+            ${Object.entries(metricsByScope).map(([scope, label]) => `
+              <optgroup label="${label}">
+                ${Object.entries(AchievementManager.METRICS).filter(([, metric]) => metric.scope === scope).map(([id, metric]) => `
+                  <option value="${id}">${metric.label}</option>
+                `).join('')}
+              </optgroup>
+            `).join('')}
+          </select>
+        </div>
+        <div class="col-3">
+          <select class="form-select form-select-sm" id="achievement-op">
+            ${Object.keys(AchievementManager.OPERATORS).map(op => `<option value="${op}">${op}</option>`).join('')}
+          </select>
+        </div>
+        <div class="col-4"><input type="number" class="form-control form-control-sm" id="achievement-value" placeholder="Value" min="0"></div>
+      </div>
+
+      <div class="row g-2 mb-2">
+        <div class="col-4">
+          <select class="form-select form-select-sm" id="achievement-skills" title="Skills (skill metrics)">
+            <option value="any">Any skill</option>
+            <option value="all">All active skills</option>
+            ${user.getActiveSkills().map(skill => `<option value="${skill.type}">${skill.icon} ${skill.name}</option>`).join('')}
+          </select>
+        </div>
+        <div class="col-5">
+          <select class="form-select form-select-sm" id="achievement-routine" title="Routine (history and session metrics)">
+            <option value="">All routines</option>
+            ${routines.map(routine => `<option value="${routine.id}">${escapeHtml(routine.icon)} ${escapeHtml(routine.name)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="col-3">
+          <input type="number" class="form-control form-control-sm" id="achievement-window" placeholder="Last N days" min="1"
+                 title="Window in days (history and session metrics)">
+        </div>
+      </div>
+
+      <details class="mb-2">
+        <summary class="small text-muted">Advanced: condition as JSON</summary>
+        <textarea class="form-control form-control-sm font-monospace mt-2" id="achievement-condition" rows="4"
+                  placeholder='{ "all": [{ "metric": "routineCompletions", "routineId": "morning", "window": { "days": 7 }, "value": 7 }, { "skills": "all", "metric": "level", "value": 5 }] }'></textarea>
+      </details>
+
+      <div class="form-check mb-2">
+        <input class="form-check-input" type="checkbox" id="achievement-secret">
+        <label class="form-check-label small" for="achievement-secret">Secret (hidden until unlocked)</label>
+      </div>
+
+      <button type="button" class="btn btn-sm btn-primary" onclick="app.createCustomAchievement()">Create</button>
+    `;
+  }
+
+  /**
+   * Show planned-vs-actual timing per section
+   */
+  showTimingBreakdown(routine, breakdown) {
+    const formatTime = (iso) => iso
+      ? new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : '—';
+    const formatMinutes = (minutes) => (minutes === null ? '—' : `${Math.round(minutes)} min`);
+    const formatDrift = (minutes) => {
+      if (minutes === null) return '<span class="text-muted">—</span>';
+      const rounded = Math.round(minutes);
+      if (rounded === 0) return '<span class="text-success">on time</span>';
+      return rounded > 0
+        ? `<span class="text-danger">+${rounded} min</span>`
+        : `<span class="text-success">${rounded} min</span>`;
+    };
+
+    const bodyContent = `
+      <div class="timing-breakdown">
+        <div class="d-flex justify-content-between mb-3">
+          <span>Planned: ${formatTime(breakdown.plannedStart)} – ${formatTime(breakdown.totals.plannedEnd)}</span>
+          <span>Actual: ${formatTime(breakdown.actualStart)} – ${formatTime(breakdown.totals.actualEnd)}</span>
+        </div>
+
+        <table class="table table-sm">
+          <thead>
+            <tr>
+              <th>Section</th>
+              <th>Planned</th>
+              <th>Actual</th>
+              <th>Start drift</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${breakdown.sections.map(section => `
+              <tr class="${section.actualStart ? '' : 'opacity-50'}">
+                <td>${section.completed ? '✅' : '⭕'} ${escapeHtml(section.name)}</td>
+                <td>${formatTime(section.plannedStart)} · ${formatMinutes(section.plannedDuration)}</td>
+                <td>${formatTime(section.actualStart)} · ${formatMinutes(section.actualDuration)}</td>
+                <td>${formatDrift(section.startDrift)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th>Total</th>
+              <th>${formatMinutes(breakdown.totals.plannedDuration)}</th>
+              <th>${formatMinutes(breakdown.totals.actualDuration)}</th>
+              <th>${formatDrift(breakdown.totals.endDrift)} at end</th>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    `;
+
+    this.show(`${routine.icon} ${routine.name} Timing`, bodyContent, null, { size: 'lg' });
+  }
+
+  /**
+   * Show the skill manager: add custom skills, archive and restore skills
+   * @param {string|null} error - Message from a rejected change
+   */
+  showSkillManager(user, error = null) {
+    const skills = Object.values(user.skills);
+
+    const bodyContent = `
+      ${error ? `<div class="alert alert-danger py-2">${error}</div>` : ''}
+
+      <div class="form-check form-switch mb-3">
+        <input class="form-check-input" type="checkbox" id="skill-decay-toggle"
+               ${user.settings.skillDecay ? 'checked' : ''} onchange="app.toggleSkillDecay()">
+        <label class="form-check-label" for="skill-decay-toggle">
+          Skill decay: skills lose XP after days without training (never below their tier)
+        </label>
+      </div>
+
+      <ul class="list-group mb-4">
+        ${skills.map(skill => `
+          <li class="list-group-item d-flex justify-content-between align-items-center ${skill.archived ? 'text-muted' : ''}">
+            <span>
+              ${skill.color ? `<span class="skill-color-dot" style="background: ${skill.color}"></span>` : ''}
+              ${skill.icon} ${skill.name}
+              <small class="text-muted">Lv ${skill.level}</small>
+              ${user.isCustomSkill(skill.type) ? '<span class="badge bg-secondary ms-1">Custom</span>' : ''}
+              ${skill.archived ? '<span class="badge bg-dark ms-1">Archived</span>' : ''}
+            </span>
+            <span class="d-flex align-items-center gap-2">
+              ${user.settings.skillDecay && !skill.archived ? `
+                <input type="number" min="0" class="form-control form-control-sm" style="width: 4.5rem;"
+                       value="${skill.decay?.graceDays ?? 0}" title="Days without training before decay (0 = never)"
+                       onchange="app.setSkillDecayDays('${skill.type}', this.value)">
+              ` : ''}
+              ${skill.archived ? `
+                <button type="button" class="btn btn-sm btn-outline-success" onclick="app.restoreSkill('${skill.type}')">Restore</button>
+              ` : `
+                <button type="button" class="btn btn-sm btn-outline-secondary" onclick="app.archiveSkill('${skill.type}')">Archive</button>
+              `}
+            </span>
+          </li>
+        `).join('')}
+      </ul>
+
+      <h6>Add Skill</h6>
+      <div class="d-flex gap-2">
+        <input type="text" class="form-control form-control-sm" id="new-skill-icon" placeholder="🎵" maxlength="4" style="width: 4rem;">
+        <input type="text" class="form-control form-control-sm" id="new-skill-name" placeholder="Name, e.g. Music" maxlength="30">
+        <input type="color" class="form-control form-control-sm form-control-color" id="new-skill-color" value="#00d4ff" title="Bar color">
+        <button type="button" class="btn btn-sm btn-primary" onclick="app.addCustomSkill()">Add</button>
+      </div>
+      <small class="text-muted">Archived skills keep their levels and history but stop earning XP.</small>
+    `;
+
+    if (this.modalElement.classList.contains('show')) {
+      this.update('Manage Skills', bodyContent);
+    } else {
+      this.show('Manage Skills', bodyContent);
+    }
+  }
+
+  /**
+   * Show streak freezes and planned rest days
+   * @param {string|null} error - Message from a rejected change
+   */
+  showStreakPlanner(user, error = null) {
+    const { max, earnEvery } = User.STREAK_FREEZES;
+    const today = DateKey.today();
+
+    const bodyContent = `
+      ${error ? `<div class="alert alert-danger py-2">${error}</div>` : ''}
+
+      <h6>🧊 Streak Freezes: ${user.streak.freezes} / ${max}</h6>
+      <p class="small text-muted">
+        A freeze is used automatically for each scheduled day you miss, so the streak carries on.
+        You earn one every ${earnEvery} streak days, plus a monthly allowance.
+      </p>
+      <div class="d-flex align-items-center gap-2 mb-2">
+        <label class="small" for="freezes-per-month">Freezes per month</label>
+        <input type="number" min="0" max="${max}" class="form-control form-control-sm" style="width: 4.5rem;"
+               id="freezes-per-month" value="${user.settings.freezesPerMonth}"
+               onchange="app.setFreezesPerMonth(this.value)">
+        ${user.getPerkEffect('freezes') > 0 ? `<small class="text-muted">+${user.getPerkEffect('freezes')} from perks</small>` : ''}
+      </div>
+      ${user.streak.frozenDays.length > 0 ? `
+        <p class="small text-muted">Used on: ${user.streak.frozenDays.slice(-5).join(', ')}</p>
+      ` : ''}
+
+      <h6 class="mt-4">😴 Planned Rest Days</h6>
+      <p class="small text-muted">Rest days don't count as missed and don't use a freeze.</p>
+      <ul class="list-group mb-3">
+        ${user.settings.restDays.length === 0 ? '<li class="list-group-item text-muted small">No rest days planned</li>' : ''}
+        ${user.settings.restDays.map(day => `
+          <li class="list-group-item d-flex justify-content-between align-items-center">
+            <span>${day}</span>
+            <button type="button" class="btn btn-sm btn-outline-danger" onclick="app.removeRestDay('${day}')">Remove</button>
+          </li>
+        `).join('')}
+      </ul>
+      <div class="d-flex gap-2">
+        <input type="date" class="form-control form-control-sm" id="new-rest-day" min="${today}">
+        <button type="button" class="btn btn-sm btn-primary" onclick="app.addRestDay()">Plan</button>
+      </div>
+
+      <h6 class="mt-4">🔥 Which Streak Counts</h6>
+      <p class="small text-muted">
+        Per routine uses the routine the XP is for; achievements use your best routine streak.
+      </p>
+      ${[
+        ['streakBonusSource', 'Streak XP bonus'],
+        ['achievementStreakSource', 'Streak achievements']
+      ].map(([setting, label]) => `
+        <div class="d-flex justify-content-between align-items-center gap-2 mb-2">
+          <label class="small" for="${setting}">${label}</label>
+          <select class="form-select form-select-sm w-auto" id="${setting}"
+                  onchange="app.setStreakSource('${setting}', this.value)">
+            ${Streak.SOURCES.map(source => `
+              <option value="${source}" ${user.settings[setting] === source ? 'selected' : ''}>${Streak.LABELS[source]}</option>
+            `).join('')}
+          </select>
+        </div>
+      `).join('')}
+    `;
+
+    if (this.modalElement.classList.contains('show')) {
+      this.update('Streak Protection', bodyContent);
+    } else {
+      this.show('Streak Protection', bodyContent);
+    }
+  }
+
+  /**
+   * Show when the day rolls over and which time zone days are counted in
+   */
+  showDaySettings(user, error = null) {
+    const deviceTimeZone = DateKey.getDeviceTimeZone();
+    const timeZones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+    const hours = Array.from({ length: DateKey.MAX_DAY_START_HOUR + 1 }, (_, hour) => hour);
+
+    const bodyContent = `
+      ${error ? `<div class="alert alert-danger py-2">${error}</div>` : ''}
+
+      <h6>🌙 Day Starts At</h6>
+      <p class="small text-muted">
+        Anything done before this hour counts for the day before, so a late evening routine keeps its day.
+      </p>
+      <select class="form-select form-select-sm w-auto mb-4" id="day-start-hour">
+        ${hours.map(hour => `
+          <option value="${hour}" ${user.settings.dayStartHour === hour ? 'selected' : ''}>
+            ${String(hour).padStart(2, '0')}:00${hour === 0 ? ' (midnight)' : ''}
+          </option>
+        `).join('')}
+      </select>
+
+      <h6>🌍 Home Time Zone</h6>
+      <p class="small text-muted">
+        Days are counted in this time zone wherever you are, so travelling doesn't break streaks.
+      </p>
+      <input type="text" class="form-control form-control-sm mb-2" id="home-time-zone" list="time-zone-options"
+             value="${user.settings.timeZone || ''}" placeholder="${deviceTimeZone || 'Device time zone'}">
+      <datalist id="time-zone-options">
+        ${timeZones.map(timeZone => `<option value="${timeZone}">`).join('')}
+      </datalist>
+      ${deviceTimeZone && user.settings.timeZone && deviceTimeZone !== user.settings.timeZone ? `
+        <p class="small text-warning mb-2">This device is in ${deviceTimeZone}.</p>
+      ` : ''}
+      <p class="small text-muted">Today is ${DateKey.toDay().toDateString()}.</p>
+
+      <button type="button" class="btn btn-sm btn-primary" onclick="app.saveDaySettings()">Save</button>
+    `;
+
+    if (this.modalElement.classList.contains('show')) {
+      this.update('Day & Time Zone', bodyContent);
+    } else {
+      this.show('Day & Time Zone', bodyContent);
+    }
   }
 
   /**
    * Show skill details modal
+   * @param {string} error - Message from a failed perk unlock
    */
-  showSkillDetails(skill) {
+  showSkillDetails(skill, error = null) {
     const bodyContent = `
       <div class="text-center mb-4">
         <div style="font-size: 4rem;">${skill.icon}</div>
@@ -209,27 +651,65 @@ export class ModalManager {
         </div>
       </div>
 
-      ${skill.prestige > 0 ? `
+      ${skill.getPrestigeMultiplier() > 1 ? `
         <div class="alert alert-info mt-3">
-          <strong>Prestige Bonus:</strong> +${(skill.getPrestigeMultiplier() - 1) * 100}% XP
+          <strong>Prestige Bonus:</strong> +${Math.round((skill.getPrestigeMultiplier() - 1) * 100)}% XP
         </div>
       ` : ''}
 
-      ${skill.level >= 100 ? `
+      ${skill.isMaxLevel() ? `
         <div class="alert alert-success mt-3">
-          <strong>Master Level!</strong> Ready to prestige and earn permanent XP bonus.
+          <strong>Max Level!</strong> Ready to prestige and earn a perk point.
         </div>
       ` : ''}
+
+      ${error ? `<div class="alert alert-danger py-2 mt-3">${error}</div>` : ''}
+      ${this.renderPerkTree(skill)}
     `;
 
-    const footer = skill.level >= 100 ? `
+    const footer = skill.isMaxLevel() ? `
       <button type="button" class="btn btn-warning" onclick="app.prestigeSkill('${skill.type}')">
-        Prestige (Reset to Level 1, +5% XP)
+        Prestige (Reset to Level 1, +1 Perk Point)
       </button>
       <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
     ` : null;
 
-    this.show(`${skill.name} Details`, bodyContent, footer);
+    if (this.modalElement.classList.contains('show')) {
+      this.update(`${skill.name} Details`, bodyContent, footer);
+    } else {
+      this.show(`${skill.name} Details`, bodyContent, footer);
+    }
+  }
+
+  /**
+   * Render a skill's perk tree with buttons to spend prestige points
+   */
+  renderPerkTree(skill) {
+    return `
+      <h6 class="mt-4 d-flex justify-content-between">
+        <span>Perks</span>
+        <span class="text-muted small">✨ ${skill.perkPoints} point${skill.perkPoints === 1 ? '' : 's'} to spend</span>
+      </h6>
+      <ul class="list-group">
+        ${Object.entries(PerkTree.PERKS).map(([perkId, perk]) => {
+          const rank = skill.perks[perkId] || 0;
+          const lockReason = PerkTree.getLockReason(skill.perks, skill.perkPoints, perkId);
+          return `
+            <li class="list-group-item d-flex justify-content-between align-items-center gap-2">
+              <div>
+                <div>${perk.icon} <strong>${perk.name}</strong> <small class="text-muted">${rank} / ${perk.maxRank}</small></div>
+                <small class="text-muted">${perk.description}</small>
+              </div>
+              <button type="button" class="btn btn-sm btn-outline-warning" ${lockReason ? `disabled title="${lockReason}"` : ''}
+                      onclick="app.unlockPerk('${skill.type}', '${perkId}')">
+                ${rank > 0 ? 'Rank up' : 'Unlock'}
+              </button>
+            </li>
+          `;
+        }).join('')}
+      </ul>
+      <p class="small text-muted mt-2">Prestige a skill at max level to earn a perk point for it.</p>
+    `;
   }
 
   /**
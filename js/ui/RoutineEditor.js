@@ -0,0 +1,755 @@
+/**
+ * RoutineEditor
+ * In-app editor for creating and modifying routines, sections and items
+ */
+
+import { Schedule } from '../models/Schedule.js';
+import { escapeHtml } from './html.js';
+
+// Item fields edited as numbers rather than text
+const NUMERIC_ITEM_FIELDS = ['duration', 'target', 'step', 'overachieveBonus'];
+
+export class RoutineEditor {
+  constructor(modalManager) {
+    this.modalManager = modalManager;
+    this.routineManager = null;
+    this.skills = [];
+
+    // Routine data being edited (plain JSON, same shape as routine files)
+    this.draft = null;
+    this.isNew = false;
+    this.errors = [];
+    this.pendingDeleteId = null;
+  }
+
+  /**
+   * Open the editor with the routine list
+   * @param {RoutineManager} routineManager
+   * @param {object} skills - User skills keyed by type
+   */
+  open(routineManager, skills) {
+    this.routineManager = routineManager;
+    this.skills = Object.values(skills).map(skill => ({
+      type: skill.type,
+      name: skill.name,
+      icon: skill.icon,
+      archived: skill.archived
+    }));
+    this.draft = null;
+    this.pendingDeleteId = null;
+
+    this.modalManager.show('Routine Editor', this.renderList(), this.renderListFooter(), { size: 'lg' });
+  }
+
+  /**
+   * Switch back to the routine list
+   */
+  showList() {
+    this.draft = null;
+    this.errors = [];
+    this.modalManager.update('Routine Editor', this.renderList(), this.renderListFooter());
+  }
+
+  /**
+   * Start editing an existing routine
+   */
+  edit(routineId) {
+    const routine = this.routineManager.getRoutine(routineId);
+    if (!routine) return;
+
+    this.draft = routine.cloneData();
+    this.isNew = false;
+    this.errors = [];
+    this.refresh();
+  }
+
+  /**
+   * Start a new, empty routine
+   */
+  create() {
+    this.draft = {
+      id: '',
+      name: '',
+      description: '',
+      type: 'daily',
+      icon: '📋',
+      startTime: '08:00',
+      totalDuration: 0,
+      skillRewards: {},
+      sections: []
+    };
+    this.isNew = true;
+    this.errors = [];
+    this.addSection();
+  }
+
+  /**
+   * Get the routine data being edited
+   */
+  getDraft() {
+    return this.draft;
+  }
+
+  /**
+   * Ask for confirmation before deleting a routine
+   */
+  requestDelete(routineId) {
+    this.pendingDeleteId = routineId;
+    this.modalManager.update('Routine Editor', this.renderList(), this.renderListFooter());
+  }
+
+  /**
+   * Cancel a pending delete
+   */
+  cancelDelete() {
+    this.requestDelete(null);
+  }
+
+  /**
+   * Re-render the edit form
+   */
+  refresh() {
+    const title = this.isNew ? 'New Routine' : `Edit ${this.draft.name}`;
+    this.modalManager.update(title, this.renderForm(), this.renderFormFooter());
+  }
+
+  /**
+   * Show validation errors above the form
+   */
+  showErrors(errors) {
+    this.errors = errors;
+    this.refresh();
+  }
+
+  /**
+   * Validate the draft before it can be saved
+   * @returns {array} - Error messages prefixed with their JSON path (empty if valid)
+   */
+  validateDraft() {
+    const errors = [];
+
+    if (this.isNew && this.draft.id && this.routineManager.getRoutine(this.draft.id)) {
+      errors.push(`$.id: a routine with ID "${this.draft.id}" already exists`);
+    }
+
+    // The ID is generated from the name on save when left empty
+    const data = { ...this.draft, id: this.draft.id || this.routineManager.generateRoutineId(this.draft.name) };
+    const result = this.routineManager.validate(data);
+    for (const error of result.errors) {
+      errors.push(`${error.path} ${error.message}`);
+    }
+
+    return errors;
+  }
+
+  // ---------------------------------------------------------------------
+  // Draft mutations (called from inline handlers)
+  // ---------------------------------------------------------------------
+
+  /**
+   * Set a top-level routine field
+   */
+  setField(field, value) {
+    this.draft[field] = field === 'totalDuration' ? parseNumber(value) : value;
+  }
+
+  /**
+   * Change the recurrence type, keeping only options it uses
+   */
+  setScheduleType(type) {
+    const schedule = this.draft.schedule || {};
+    const keep = {
+      weekly: ['days'],
+      interval: ['every', 'startDate'],
+      rrule: ['rrule', 'startDate']
+    }[type] || [];
+
+    this.draft.type = type;
+    this.draft.schedule = Object.fromEntries(
+      Object.entries(schedule).filter(([key]) => keep.includes(key))
+    );
+    if (type === 'weekly' && !this.draft.schedule.days) {
+      this.draft.schedule.days = ['mon', 'tue', 'wed', 'thu', 'fri'];
+    }
+    if (type === 'interval' && !this.draft.schedule.every) {
+      this.draft.schedule.every = 2;
+    }
+    if (Object.keys(this.draft.schedule).length === 0) {
+      delete this.draft.schedule;
+    }
+    this.refresh();
+  }
+
+  /**
+   * Turn a weekday on or off for weekly routines
+   */
+  toggleScheduleDay(day, enabled) {
+    const days = new Set(this.draft.schedule?.days || []);
+    if (enabled) {
+      days.add(day);
+    } else {
+      days.delete(day);
+    }
+    this.draft.schedule = {
+      ...this.draft.schedule,
+      days: Schedule.DAYS.filter(d => days.has(d))
+    };
+  }
+
+  /**
+   * Set a schedule option (every, startDate, rrule)
+   */
+  setScheduleOption(field, value) {
+    this.draft.schedule = this.draft.schedule || {};
+    setOptional(this.draft.schedule, field, field === 'every' ? parseNumber(value) : value);
+  }
+
+  /**
+   * Set a completion reward for the whole routine
+   */
+  setRoutineReward(skillType, value) {
+    this.draft.skillRewards = setReward(this.draft.skillRewards, skillType, value);
+  }
+
+  /**
+   * Set a section field
+   */
+  setSectionField(sectionIndex, field, value) {
+    const section = this.draft.sections[sectionIndex];
+    setOptional(section, field, field === 'duration' ? parseNumber(value) : value);
+  }
+
+  /**
+   * Lock a section until the previous one is finished
+   */
+  setSectionRequiresPrevious(sectionIndex, requiresPrevious) {
+    const section = this.draft.sections[sectionIndex];
+    setOptional(section, 'requiresPrevious', requiresPrevious ? true : undefined);
+  }
+
+  /**
+   * Set the items an item waits for from a comma separated list of IDs
+   */
+  setItemAfter(sectionIndex, itemIndex, value) {
+    const item = this.draft.sections[sectionIndex].items[itemIndex];
+    const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+    setOptional(item, 'after', ids.length > 0 ? ids : undefined);
+  }
+
+  /**
+   * Set an item field
+   */
+  setItemField(sectionIndex, itemIndex, field, value) {
+    const item = this.draft.sections[sectionIndex].items[itemIndex];
+    setOptional(item, field, NUMERIC_ITEM_FIELDS.includes(field) ? parseNumber(value) : value);
+  }
+
+  /**
+   * Mark an item optional (bonus) or required
+   */
+  setItemOptional(sectionIndex, itemIndex, optional) {
+    const item = this.draft.sections[sectionIndex].items[itemIndex];
+    setOptional(item, 'optional', optional ? true : undefined);
+  }
+
+  /**
+   * Set an item's XP reward for one skill
+   */
+  setItemReward(sectionIndex, itemIndex, skillType, value) {
+    const item = this.draft.sections[sectionIndex].items[itemIndex];
+    item.skillRewards = setReward(item.skillRewards, skillType, value);
+  }
+
+  /**
+   * Append a new section
+   */
+  addSection() {
+    this.draft.sections.push({
+      id: this.generateId('section', this.draft.sections.map(s => s.id)),
+      name: 'New section',
+      duration: 0,
+      items: []
+    });
+    this.refresh();
+  }
+
+  /**
+   * Remove a section and its items
+   */
+  removeSection(sectionIndex) {
+    this.draft.sections.splice(sectionIndex, 1);
+    this.refresh();
+  }
+
+  /**
+   * Move a section up (-1) or down (+1)
+   */
+  moveSection(sectionIndex, direction) {
+    moveInArray(this.draft.sections, sectionIndex, direction);
+    this.refresh();
+  }
+
+  /**
+   * Append a new item to a section
+   */
+  addItem(sectionIndex) {
+    const allIds = this.draft.sections.flatMap(s => s.items.map(i => i.id));
+    this.draft.sections[sectionIndex].items.push({
+      id: this.generateId('item', allIds),
+      description: 'New item',
+      duration: 1,
+      skillRewards: {}
+    });
+    this.refresh();
+  }
+
+  /**
+   * Remove an item from a section
+   */
+  removeItem(sectionIndex, itemIndex) {
+    this.draft.sections[sectionIndex].items.splice(itemIndex, 1);
+    this.refresh();
+  }
+
+  /**
+   * Move an item up (-1) or down (+1) within its section
+   */
+  moveItem(sectionIndex, itemIndex, direction) {
+    moveInArray(this.draft.sections[sectionIndex].items, itemIndex, direction);
+    this.refresh();
+  }
+
+  /**
+   * Generate an ID not present in the given list
+   */
+  generateId(prefix, existingIds) {
+    let counter = existingIds.length + 1;
+    while (existingIds.includes(`${prefix}-${counter}`)) {
+      counter++;
+    }
+    return `${prefix}-${counter}`;
+  }
+
+  // ---------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------
+
+  /**
+   * Render list of all routines with actions
+   */
+  renderList() {
+    const routines = this.routineManager.getAllRoutines();
+
+    return `
+      <div class="routine-editor">
+        <div class="list-group">
+          ${routines.map(routine => `
+            <div class="list-group-item d-flex align-items-center gap-3">
+              <span style="font-size: 1.5rem;">${escapeHtml(routine.icon)}</span>
+              <div class="flex-grow-1">
+                <strong>${escapeHtml(routine.name)}</strong>
+                ${this.renderSourceBadge(routine)}
+                <div class="small text-muted">${routine.sections.length} sections · ${routine.getTotalItemCount()} items</div>
+              </div>
+              ${this.pendingDeleteId === routine.id ? `
+                <span class="small">${this.routineManager.isOverridden(routine.id) ? 'Revert to bundled?' : 'Delete?'}</span>
+                <button class="btn btn-sm btn-danger" onclick="app.deleteRoutine('${routine.id}')">Yes</button>
+                <button class="btn btn-sm btn-secondary" onclick="app.routineEditor.cancelDelete()">No</button>
+              ` : `
+                <button class="btn btn-sm btn-outline-light" onclick="app.routineEditor.edit('${routine.id}')">Edit</button>
+                <button class="btn btn-sm btn-outline-light" onclick="app.duplicateRoutine('${routine.id}')">Duplicate</button>
+                ${routine.isCustom() ? `
+                  <button class="btn btn-sm btn-outline-danger" onclick="app.routineEditor.requestDelete('${routine.id}')">
+                    ${this.routineManager.isOverridden(routine.id) ? 'Revert' : 'Delete'}
+                  </button>
+                ` : ''}
+              `}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render badge telling where a routine comes from
+   */
+  renderSourceBadge(routine) {
+    if (this.routineManager.isOverridden(routine.id)) {
+      return '<span class="badge bg-warning ms-2">Modified</span>';
+    }
+    return routine.isCustom()
+      ? '<span class="badge bg-info ms-2">Custom</span>'
+      : '<span class="badge bg-secondary ms-2">Bundled</span>';
+  }
+
+  /**
+   * Render list footer
+   */
+  renderListFooter() {
+    return `
+      <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+      <button type="button" class="btn btn-primary" onclick="app.routineEditor.create()">+ New Routine</button>
+    `;
+  }
+
+  /**
+   * Render the routine edit form
+   */
+  renderForm() {
+    const draft = this.draft;
+
+    return `
+      <div class="routine-editor">
+        ${this.errors.length > 0 ? `
+          <div class="alert alert-danger">
+            <ul class="mb-0">
+              ${this.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+            </ul>
+          </div>
+        ` : ''}
+
+        <div class="row g-2 mb-3">
+          <div class="col-3 col-md-2">
+            <label class="form-label small">Icon</label>
+            <input class="form-control" value="${escapeHtml(draft.icon)}"
+                   onchange="app.routineEditor.setField('icon', this.value)">
+          </div>
+          <div class="col-9 col-md-6">
+            <label class="form-label small">Name</label>
+            <input class="form-control" value="${escapeHtml(draft.name)}"
+                   onchange="app.routineEditor.setField('name', this.value)">
+          </div>
+          <div class="col-12 col-md-4">
+            <label class="form-label small">ID</label>
+            <input class="form-control" value="${escapeHtml(draft.id)}"
+                   placeholder="generated from name"
+                   ${this.isNew ? '' : 'readonly'}
+                   onchange="app.routineEditor.setField('id', this.value)">
+          </div>
+          <div class="col-12">
+            <label class="form-label small">Description</label>
+            <input class="form-control" value="${escapeHtml(draft.description)}"
+                   onchange="app.routineEditor.setField('description', this.value)">
+          </div>
+          <div class="col-6">
+            <label class="form-label small">Start time</label>
+            <input type="time" class="form-control" value="${escapeHtml(draft.startTime)}"
+                   onchange="app.routineEditor.setField('startTime', this.value)">
+          </div>
+          <div class="col-6">
+            <label class="form-label small">Total duration (min)</label>
+            <input type="number" min="0" class="form-control" value="${draft.totalDuration ?? ''}"
+                   onchange="app.routineEditor.setField('totalDuration', this.value)">
+          </div>
+        </div>
+
+        ${this.renderScheduleForm()}
+
+        <h6>Routine Completion Rewards</h6>
+        ${this.renderRewardInputs(draft.skillRewards, skill => `app.routineEditor.setRoutineReward('${skill}', this.value)`)}
+
+        <h6 class="mt-4">Sections</h6>
+        ${draft.sections.map((section, sectionIndex) => this.renderSectionForm(section, sectionIndex)).join('')}
+
+        <button type="button" class="btn btn-sm btn-outline-light" onclick="app.routineEditor.addSection()">
+          + Add Section
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render recurrence settings
+   */
+  renderScheduleForm() {
+    const type = this.draft.type || 'daily';
+    const schedule = this.draft.schedule || {};
+    const typeLabels = {
+      daily: 'Every day',
+      weekdays: 'Weekdays',
+      weekends: 'Weekends',
+      weekly: 'Specific days',
+      interval: 'Every N days',
+      rrule: 'Custom (RRULE)'
+    };
+
+    return `
+      <div class="row g-2 mb-3 align-items-end">
+        <div class="col-12 col-md-4">
+          <label class="form-label small">Repeats</label>
+          <select class="form-select" onchange="app.routineEditor.setScheduleType(this.value)">
+            ${Schedule.TYPES.map(option => `
+              <option value="${option}" ${option === type ? 'selected' : ''}>${typeLabels[option]}</option>
+            `).join('')}
+          </select>
+        </div>
+        ${type === 'weekly' ? `
+          <div class="col-12 col-md-8 d-flex flex-wrap gap-2">
+            ${Schedule.DAYS.map(day => `
+              <label class="form-check-label small">
+                <input type="checkbox" class="form-check-input" ${(schedule.days || []).includes(day) ? 'checked' : ''}
+                       onchange="app.routineEditor.toggleScheduleDay('${day}', this.checked)">
+                ${Schedule.DAY_NAMES[day]}
+              </label>
+            `).join('')}
+          </div>
+        ` : ''}
+        ${type === 'interval' ? `
+          <div class="col-6 col-md-4">
+            <label class="form-label small">Every (days)</label>
+            <input type="number" min="1" step="1" class="form-control" value="${schedule.every ?? ''}"
+                   onchange="app.routineEditor.setScheduleOption('every', this.value)">
+          </div>
+        ` : ''}
+        ${type === 'rrule' ? `
+          <div class="col-12 col-md-4">
+            <label class="form-label small">RRULE</label>
+            <input class="form-control" value="${escapeHtml(schedule.rrule)}" placeholder="FREQ=WEEKLY;BYDAY=MO,WE,FR"
+                   onchange="app.routineEditor.setScheduleOption('rrule', this.value)">
+          </div>
+        ` : ''}
+        ${type === 'interval' || type === 'rrule' ? `
+          <div class="col-6 col-md-4">
+            <label class="form-label small">Starting</label>
+            <input type="date" class="form-control" value="${escapeHtml(schedule.startDate)}"
+                   onchange="app.routineEditor.setScheduleOption('startDate', this.value)">
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render form for a single section
+   */
+  renderSectionForm(section, sectionIndex) {
+    const isLast = sectionIndex === this.draft.sections.length - 1;
+
+    return `
+      <div class="card editor-section mb-3">
+        <div class="card-header">
+          <div class="row g-2 align-items-end">
+            <div class="col-12 col-md-4">
+              <label class="form-label small">Section name</label>
+              <input class="form-control form-control-sm" value="${escapeHtml(section.name)}"
+                     onchange="app.routineEditor.setSectionField(${sectionIndex}, 'name', this.value)">
+            </div>
+            <div class="col-4 col-md-2">
+              <label class="form-label small">ID</label>
+              <input class="form-control form-control-sm" value="${escapeHtml(section.id)}"
+                     onchange="app.routineEditor.setSectionField(${sectionIndex}, 'id', this.value)">
+            </div>
+            <div class="col-4 col-md-2">
+              <label class="form-label small">Time range</label>
+              <input class="form-control form-control-sm" value="${escapeHtml(section.timeRange)}"
+                     placeholder="0-5 min"
+                     onchange="app.routineEditor.setSectionField(${sectionIndex}, 'timeRange', this.value)">
+            </div>
+            <div class="col-4 col-md-2">
+              <label class="form-label small">Duration</label>
+              <input type="number" min="0" step="0.5" class="form-control form-control-sm" value="${section.duration ?? ''}"
+                     onchange="app.routineEditor.setSectionField(${sectionIndex}, 'duration', this.value)">
+            </div>
+            <div class="col-12 col-md-2 d-flex gap-1 justify-content-end">
+              <button type="button" class="btn btn-sm btn-outline-light" title="Move up" ${sectionIndex === 0 ? 'disabled' : ''}
+                      onclick="app.routineEditor.moveSection(${sectionIndex}, -1)">↑</button>
+              <button type="button" class="btn btn-sm btn-outline-light" title="Move down" ${isLast ? 'disabled' : ''}
+                      onclick="app.routineEditor.moveSection(${sectionIndex}, 1)">↓</button>
+              <button type="button" class="btn btn-sm btn-outline-danger" title="Remove section"
+                      onclick="app.routineEditor.removeSection(${sectionIndex})">🗑</button>
+            </div>
+            <div class="col-12 ${sectionIndex > 0 ? 'col-md-9' : ''}">
+              <input class="form-control form-control-sm" value="${escapeHtml(section.notes)}"
+                     placeholder="Section notes"
+                     onchange="app.routineEditor.setSectionField(${sectionIndex}, 'notes', this.value)">
+            </div>
+            ${sectionIndex > 0 ? `
+              <div class="col-12 col-md-3">
+                <div class="form-check">
+                  <input type="checkbox" class="form-check-input" id="editor-requires-previous-${sectionIndex}"
+                         ${section.requiresPrevious ? 'checked' : ''}
+                         onchange="app.routineEditor.setSectionRequiresPrevious(${sectionIndex}, this.checked)">
+                  <label class="form-check-label small" for="editor-requires-previous-${sectionIndex}">
+                    Unlocks after previous section
+                  </label>
+                </div>
+              </div>
+            ` : ''}
+          </div>
+        </div>
+        <div class="card-body">
+          ${section.items.map((item, itemIndex) => this.renderItemForm(item, sectionIndex, itemIndex, section.items.length)).join('')}
+          <button type="button" class="btn btn-sm btn-outline-light" onclick="app.routineEditor.addItem(${sectionIndex})">
+            + Add Item
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render form for a single item
+   */
+  renderItemForm(item, sectionIndex, itemIndex, itemCount) {
+    const handler = (field) => `app.routineEditor.setItemField(${sectionIndex}, ${itemIndex}, '${field}', this.value)`;
+
+    return `
+      <div class="editor-item">
+        <div class="row g-2 align-items-end">
+          <div class="col-12 col-md-6">
+            <label class="form-label small">Description</label>
+            <input class="form-control form-control-sm" value="${escapeHtml(item.description)}"
+                   onchange="${handler('description')}">
+          </div>
+          <div class="col-5 col-md-2">
+            <label class="form-label small">ID</label>
+            <input class="form-control form-control-sm" value="${escapeHtml(item.id)}"
+                   onchange="${handler('id')}">
+          </div>
+          <div class="col-4 col-md-2">
+            <label class="form-label small">Minutes</label>
+            <input type="number" min="0" step="0.5" class="form-control form-control-sm" value="${item.duration ?? ''}"
+                   onchange="${handler('duration')}">
+          </div>
+          <div class="col-3 col-md-2 d-flex gap-1 justify-content-end">
+            <button type="button" class="btn btn-sm btn-outline-light" title="Move up" ${itemIndex === 0 ? 'disabled' : ''}
+                    onclick="app.routineEditor.moveItem(${sectionIndex}, ${itemIndex}, -1)">↑</button>
+            <button type="button" class="btn btn-sm btn-outline-light" title="Move down" ${itemIndex === itemCount - 1 ? 'disabled' : ''}
+                    onclick="app.routineEditor.moveItem(${sectionIndex}, ${itemIndex}, 1)">↓</button>
+            <button type="button" class="btn btn-sm btn-outline-danger" title="Remove item"
+                    onclick="app.routineEditor.removeItem(${sectionIndex}, ${itemIndex})">🗑</button>
+          </div>
+          <div class="col-6 col-md-3">
+            <label class="form-label small">Target</label>
+            <input type="number" min="0" class="form-control form-control-sm" value="${item.target ?? ''}"
+                   placeholder="Checkbox"
+                   onchange="${handler('target')}">
+          </div>
+          <div class="col-6 col-md-3">
+            <label class="form-label small">Unit</label>
+            <input class="form-control form-control-sm" value="${escapeHtml(item.unit)}"
+                   placeholder="reps, pages..."
+                   onchange="${handler('unit')}">
+          </div>
+          <div class="col-6 col-md-3">
+            <label class="form-label small">Step</label>
+            <input type="number" min="0" class="form-control form-control-sm" value="${item.step ?? ''}"
+                   placeholder="1"
+                   onchange="${handler('step')}">
+          </div>
+          <div class="col-6 col-md-3">
+            <label class="form-label small">Over-target bonus</label>
+            <input type="number" min="0" step="0.1" class="form-control form-control-sm" value="${item.overachieveBonus ?? ''}"
+                   placeholder="0.5 = +50% XP"
+                   onchange="${handler('overachieveBonus')}">
+          </div>
+          <div class="col-12">
+            ${this.renderRewardInputs(item.skillRewards, skill => `app.routineEditor.setItemReward(${sectionIndex}, ${itemIndex}, '${skill}', this.value)`)}
+          </div>
+          <div class="col-12 col-md-5">
+            <input class="form-control form-control-sm" value="${escapeHtml(item.notes)}"
+                   placeholder="Notes"
+                   onchange="${handler('notes')}">
+          </div>
+          <div class="col-12 col-md-4">
+            <input class="form-control form-control-sm" value="${escapeHtml((item.after || []).join(', '))}"
+                   placeholder="After item IDs (comma separated)"
+                   onchange="app.routineEditor.setItemAfter(${sectionIndex}, ${itemIndex}, this.value)">
+          </div>
+          <div class="col-12 col-md-3">
+            <div class="form-check">
+              <input type="checkbox" class="form-check-input" id="editor-optional-${sectionIndex}-${itemIndex}"
+                     ${item.optional ? 'checked' : ''}
+                     onchange="app.routineEditor.setItemOptional(${sectionIndex}, ${itemIndex}, this.checked)">
+              <label class="form-check-label small" for="editor-optional-${sectionIndex}-${itemIndex}">
+                Optional (bonus XP)
+              </label>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render one XP input per skill
+   * @param {object} rewards - Current skill rewards
+   * @param {function} handlerFor - Returns inline onchange code for a skill type
+   */
+  renderRewardInputs(rewards = {}, handlerFor) {
+    // Keep rewards for archived skills and skills the user doesn't have so they aren't silently dropped
+    const skills = this.skills.filter(skill => !skill.archived || skill.type in rewards);
+    for (const skillType of Object.keys(rewards)) {
+      if (!skills.some(skill => skill.type === skillType)) {
+        skills.push({ type: skillType, name: skillType, icon: '❓' });
+      }
+    }
+
+    return `
+      <div class="editor-rewards">
+        ${skills.map(skill => `
+          <div class="input-group input-group-sm" title="${escapeHtml(skill.name)} XP">
+            <span class="input-group-text">${skill.icon}</span>
+            <input type="number" min="0" class="form-control" value="${rewards[skill.type] ?? ''}"
+                   placeholder="${escapeHtml(skill.name)}"
+                   onchange="${handlerFor(skill.type)}">
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render edit form footer
+   */
+  renderFormFooter() {
+    return `
+      <button type="button" class="btn btn-secondary" onclick="app.routineEditor.showList()">Back</button>
+      <button type="button" class="btn btn-primary" onclick="app.saveEditedRoutine()">Save Routine</button>
+    `;
+  }
+}
+
+/**
+ * Parse a numeric input, returning undefined for empty values
+ */
+function parseNumber(value) {
+  if (value === '' || value === null || value === undefined) return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Set a field, removing it when the value is empty
+ */
+function setOptional(target, field, value) {
+  if (value === undefined || value === '') {
+    delete target[field];
+  } else {
+    target[field] = value;
+  }
+}
+
+/**
+ * Return rewards with one skill updated (empty or zero removes it)
+ */
+function setReward(rewards = {}, skillType, value) {
+  const updated = { ...rewards };
+  const xp = parseNumber(value);
+  if (!xp) {
+    delete updated[skillType];
+  } else {
+    updated[skillType] = xp;
+  }
+  return updated;
+}
+
+/**
+ * Swap an element with its neighbour
+ */
+function moveInArray(array, index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= array.length) return;
+  [array[index], array[target]] = [array[target], array[index]];
+}
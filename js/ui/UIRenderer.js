@@ -3,11 +3,17 @@
  * Renders all UI components
  */
 
+import { Routine } from '../models/Routine.js';
+import { Condition } from '../models/Condition.js';
+import { DateKey } from '../models/DateKey.js';
+import { escapeHtml } from './html.js';
+
 export class UIRenderer {
   constructor() {
     this.containers = {
       profile: document.getElementById('profile-sidebar'),
-      routines: document.getElementById('routine-content')
+      routines: document.getElementById('routine-content'),
+      playMode: document.getElementById('play-mode-overlay')
     };
   }
 
@@ -31,22 +37,36 @@ export class UIRenderer {
             </div>
           </div>
 
-          ${user.streak.current > 0 ? `
-            <div class="streak-info mb-4 text-center">
+          <div class="streak-info mb-4 text-center">
+            ${user.streak.current > 0 ? `
               <div class="mb-2">
                 <span class="badge bg-gradient streak-fire">
                   🔥 ${user.streak.current} Day Streak
                 </span>
               </div>
-              ${streakTier ? `
-                <small class="text-muted">${streakTier} (+${(streakBonus * 100).toFixed(0)}% XP)</small>
-              ` : ''}
-            </div>
-          ` : ''}
+            ` : ''}
+            ${user.perfectStreak.current > 0 ? `
+              <div class="mb-2">
+                <span class="badge bg-warning text-dark" title="Days every scheduled routine was done (best ${user.perfectStreak.longest})">
+                  🌟 ${user.perfectStreak.current} Perfect Day${user.perfectStreak.current === 1 ? '' : 's'}
+                </span>
+              </div>
+            ` : ''}
+            ${streakTier ? `
+              <small class="text-muted d-block">${streakTier} (+${(streakBonus * 100).toFixed(0)}% XP)</small>
+            ` : ''}
+            <button class="btn btn-sm btn-link p-0 streak-planner-link" onclick="app.showStreakPlanner()"
+                    title="Streak freezes and rest days">
+              🧊 ${user.streak.freezes} freeze${user.streak.freezes === 1 ? '' : 's'} · 😴 Rest days
+            </button>
+          </div>
 
           <div class="skills-section">
-            <h6 class="mb-3">Skills</h6>
-            ${Object.values(user.skills).map(skill => this.renderSkillBar(skill)).join('')}
+            <div class="d-flex justify-content-between align-items-center mb-3">
+              <h6 class="mb-0">Skills</h6>
+              <button class="btn btn-sm btn-link p-0" onclick="app.showSkillManager()" title="Manage Skills">⚙️</button>
+            </div>
+            ${user.getActiveSkills().map(skill => this.renderSkillBar(skill, user.settings.skillDecay)).join('')}
           </div>
 
           <div class="mt-4 text-center">
@@ -59,8 +79,9 @@ export class UIRenderer {
 
   /**
    * Render a single skill bar
+   * @param {boolean} showDecay - Show rusty / days-until-decay hints
    */
-  renderSkillBar(skill) {
+  renderSkillBar(skill, showDecay = false) {
     const progress = skill.getProgressPercentage();
 
     return `
@@ -69,13 +90,15 @@ export class UIRenderer {
           <span>
             ${skill.icon} ${skill.name}
             ${skill.prestige > 0 ? `<span class="prestige-stars">${'⭐'.repeat(Math.min(skill.prestige, 5))}</span>` : ''}
+            ${skill.perkPoints > 0 ? `<span class="badge bg-warning text-dark" title="Unspent perk points">✨ ${skill.perkPoints}</span>` : ''}
+            ${showDecay ? this.renderDecayHint(skill) : ''}
           </span>
           <small>Lv ${skill.level}</small>
         </div>
         <div class="progress">
           <div class="progress-bar"
                role="progressbar"
-               style="width: ${progress}%"
+               style="width: ${progress}%;${skill.color ? ` background: ${skill.color};` : ''}"
                aria-valuenow="${progress}"
                aria-valuemin="0"
                aria-valuemax="100">
@@ -86,45 +109,167 @@ export class UIRenderer {
     `;
   }
 
+  /**
+   * Rusty badge while a skill decays, otherwise the days left before it starts
+   * (spans, not <small>, so updateSkillBar() still finds the level text)
+   */
+  renderDecayHint(skill) {
+    const daysLeft = skill.getDaysUntilDecay();
+    if (daysLeft === null) return '';
+
+    if (daysLeft <= 0) {
+      return '<span class="badge skill-rusty ms-1" title="Not trained for a while: losing XP daily">🦀 Rusty</span>';
+    }
+    return `<span class="skill-decay-hint text-muted ms-1" title="Train this skill to reset the timer">rusty in ${daysLeft}d</span>`;
+  }
+
   /**
    * Render routines list
    */
   renderRoutines(routines, routineManager, user) {
     if (!this.containers.routines) return;
 
+    const groups = this.groupRoutines(routines, routineManager.getGroups());
+    const showHeadings = groups.length > 1;
+
     this.containers.routines.innerHTML = `
+      ${this.renderLoadErrors(routineManager.getLoadErrors())}
+      ${this.renderModeToggles(routineManager.getAvailableModes(), user.settings.activeModes)}
       <div class="routines-container">
-        ${routines.map(routine => this.renderRoutine(routine, routineManager, user)).join('')}
+        ${groups.map(group => `
+          <div class="routine-group" data-group-id="${group.id}">
+            ${showHeadings ? `<h5 class="routine-group-title mb-3">${escapeHtml(group.name)}</h5>` : ''}
+            ${group.routines.map(routine => this.renderRoutine(routine, routineManager, user)).join('')}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render toggle buttons for the modes routine conditions refer to
+   */
+  renderModeToggles(modes, activeModes) {
+    if (modes.length === 0) return '';
+
+    return `
+      <div class="mode-toggles d-flex align-items-center gap-2 mb-4">
+        <small class="text-muted">Modes:</small>
+        ${modes.map(mode => `
+          <button type="button"
+                  class="btn btn-sm ${activeModes.includes(mode) ? 'btn-primary' : 'btn-outline-light'}"
+                  aria-pressed="${activeModes.includes(mode)}"
+                  onclick="app.toggleMode('${mode}')">
+            ${mode}
+          </button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Split routines into manifest groups, keeping manifest order
+   * Routines without a known group are collected at the end
+   */
+  groupRoutines(routines, groupDefinitions = []) {
+    const byOrder = (a, b) => (a.order ?? Infinity) - (b.order ?? Infinity);
+    const groups = groupDefinitions.map(group => ({ ...group, routines: [] }));
+    const ungrouped = { id: 'other', name: 'Other Routines', routines: [] };
+
+    for (const routine of routines) {
+      const group = groups.find(g => g.id === routine.group);
+      (group || ungrouped).routines.push(routine);
+    }
+
+    return [...groups, ungrouped]
+      .filter(group => group.routines.length > 0)
+      .map(group => ({ ...group, routines: [...group.routines].sort(byOrder) }));
+  }
+
+  /**
+   * Render warning for routine files that failed to load
+   */
+  renderLoadErrors(loadErrors) {
+    if (!loadErrors || loadErrors.length === 0) return '';
+
+    return `
+      <div class="alert alert-warning mb-4" role="alert">
+        <strong>⚠️ Some routines could not be loaded</strong>
+        <ul class="mb-0 mt-2 small">
+          ${loadErrors.map(error => `
+            <li>
+              <code>${escapeHtml(error.path)}</code>: ${escapeHtml(error.message)}
+              ${error.details && error.details.length > 0 ? `
+                <ul>
+                  ${error.details.map(detail => `<li><code>${escapeHtml(detail.path)}</code> ${escapeHtml(detail.message)}</li>`).join('')}
+                </ul>
+              ` : ''}
+            </li>
+          `).join('')}
+        </ul>
       </div>
     `;
   }
 
+  /**
+   * Render a routine's own streak badge for its card header
+   * (with its bonus tier when streak bonuses are per routine)
+   */
+  renderRoutineStreak(routineId, user) {
+    const streak = user.getStreak('routine', routineId);
+    if (streak.current === 0) return '';
+
+    const tier = user.settings.streakBonusSource === 'routine' ? user.getStreakTierName(routineId) : null;
+    const bonus = tier ? ` · ${tier} (+${(user.getStreakBonus(routineId) * 100).toFixed(0)}% XP)` : '';
+
+    return `
+      <span class="badge streak-fire" title="Routine streak · best ${streak.longest} days${bonus}">
+        🔥 ${streak.current}
+      </span>
+    `;
+  }
+
   /**
    * Render a single routine
    */
-  renderRoutine(routine, routineManager, user) {
+  renderRoutine(baseRoutine, routineManager, user) {
+    // Today's variant: only sections and items whose conditions match
+    const routine = routineManager.getEffectiveRoutine(baseRoutine.id);
     const session = routineManager.getSession(routine.id);
     const progress = session.getProgress(routine);
+    const scheduledToday = routine.isScheduledOn(DateKey.toDay());
+    const locks = this.getItemLocks(routine, session);
 
     return `
-      <div class="card routine-card mb-4" id="routine-${routine.id}">
+      <div class="card routine-card mb-4 ${scheduledToday ? '' : 'routine-unscheduled'}" id="routine-${routine.id}">
         <div class="card-header d-flex justify-content-between align-items-center">
           <div>
-            <span class="me-2">${routine.icon}</span>
-            <strong>${routine.name}</strong>
+            <span class="me-2">${escapeHtml(routine.icon)}</span>
+            <strong>${escapeHtml(routine.name)}</strong>
           </div>
           <div class="d-flex align-items-center gap-2">
+            ${scheduledToday ? '' : '<span class="badge bg-secondary">Not scheduled today</span>'}
+            ${routine.variant.modes.map(mode => `<span class="badge bg-primary">${mode}</span>`).join('')}
+            ${this.renderRoutineStreak(routine.id, user)}
             ${session.status === 'completed' ? '<span class="badge bg-success">✓ Completed</span>' : ''}
             ${session.status === 'in_progress' ? '<span class="badge bg-info">In Progress</span>' : ''}
-            <small class="text-muted">${routine.startTime} - ${routine.getEndTime()} (${routine.totalDuration} min)</small>
+            <small class="text-muted">${routine.schedule.describe()} · ${routine.startTime} - ${routine.getEndTime()} (${routine.totalDuration} min)</small>
+            ${Object.keys(session.itemTimings).length > 0 ? `
+              <button class="btn btn-sm btn-outline-light" onclick="app.showTimingBreakdown('${routine.id}')" title="Planned vs actual timing">⏱</button>
+            ` : ''}
+            ${session.status !== 'completed' ? `
+              <button class="btn btn-sm btn-primary" onclick="app.startPlayMode('${routine.id}')" title="Guided run">▶ Start</button>
+            ` : ''}
           </div>
         </div>
         <div class="card-body">
-          <p class="text-muted">${routine.description}</p>
+          <p class="text-muted">${escapeHtml(routine.description)}</p>
+
+          ${this.renderHistory(routineManager.getCompletionHistory(routine.id, 7), user)}
 
           ${this.renderTimeline(routine, session)}
 
-          ${routine.sections.map((section, index) => this.renderSection(section, routine.id, session, index)).join('')}
+          ${routine.sections.map((section, index) => this.renderSection(section, routine.id, session, index, locks)).join('')}
 
           ${this.renderRoutineProgress(progress, routine, session)}
         </div>
@@ -132,6 +277,34 @@ export class UIRenderer {
     `;
   }
 
+  /**
+   * Render recent completion history (unscheduled days are shown neutral,
+   * planned rest days and days saved by a streak freeze get their own icon)
+   */
+  renderHistory(history, user) {
+    const statusFor = (day, isToday) => {
+      if (day.completed) return { icon: '✅', note: '' };
+      if (user.isRestDay(day.date)) return { icon: '😴', note: ' (rest day)' };
+      if (user.isFrozenDay(day.date)) return { icon: '🧊', note: ' (streak freeze used)' };
+      if (!day.scheduled) return { icon: '➖', note: ' (not scheduled)' };
+      if (isToday) return { icon: '⭕', note: '' };
+      return { icon: '❌', note: '' };
+    };
+
+    return `
+      <div class="routine-history d-flex gap-2 mb-3">
+        ${history.map((day, index) => {
+          const status = statusFor(day, index === history.length - 1);
+          return `
+            <span class="history-day ${day.scheduled ? '' : 'unscheduled'}" title="${DateKey.toDay(day.date).toDateString()}${status.note}">
+              ${status.icon}
+            </span>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
   /**
    * Render timeline
    */
@@ -152,8 +325,8 @@ export class UIRenderer {
   /**
    * Render routine section
    */
-  renderSection(section, routineId, session, index) {
-    const allCompleted = section.items.every(item => session.isItemCompleted(item.id));
+  renderSection(section, routineId, session, index, locks = {}) {
+    const allCompleted = section.items.every(item => Routine.isOptional(item) || session.isItemCompleted(item.id));
 
     return `
       <div class="section-card card mb-3">
@@ -161,12 +334,13 @@ export class UIRenderer {
              data-bs-toggle="collapse"
              data-bs-target="#section-${routineId}-${section.id}">
           <span class="status-badge">${allCompleted ? '✅' : '⭕'}</span>
-          ${section.name}
-          <span class="text-muted ms-2">(${section.timeRange})</span>
+          ${escapeHtml(section.name)}
+          <span class="text-muted ms-2">(${escapeHtml(section.timeRange)})</span>
+          ${section.when ? `<span class="badge bg-info ms-2">${Condition.describe(section.when)}</span>` : ''}
         </div>
         <div id="section-${routineId}-${section.id}" class="collapse ${index === 0 ? 'show' : ''}">
           <div class="card-body p-0">
-            ${section.items.map(item => this.renderRoutineItem(item, routineId, session)).join('')}
+            ${section.items.map(item => this.renderRoutineItem(item, routineId, session, locks[item.id])).join('')}
           </div>
         </div>
       </div>
@@ -174,23 +348,49 @@ export class UIRenderer {
   }
 
   /**
-   * Render routine item (checkbox)
+   * Get blockers of every item that is still locked
+   * @returns {object} - itemId -> [{ type, id, name }]
+   */
+  getItemLocks(routine, session) {
+    const locks = {};
+    for (const item of routine.getAllItems()) {
+      if (session.isItemCompleted(item.id)) continue;
+
+      const blockers = routine.getBlockers(item.id, id => session.isItemCompleted(id));
+      if (blockers.length > 0) {
+        locks[item.id] = blockers;
+      }
+    }
+    return locks;
+  }
+
+  /**
+   * Render routine item (checkbox, or stepper for quantitative items)
+   * @param {array} blockers - Unfinished prerequisites; the item is locked if any
    */
-  renderRoutineItem(item, routineId, session) {
+  renderRoutineItem(item, routineId, session, blockers = []) {
+    if (Routine.isQuantitative(item)) {
+      return this.renderQuantityItem(item, routineId, session, blockers);
+    }
+
     const isCompleted = session.isItemCompleted(item.id);
+    const isLocked = blockers.length > 0;
 
     return `
-      <div class="routine-item ${isCompleted ? 'completed' : ''}" data-item-id="${item.id}">
+      <div class="routine-item ${isCompleted ? 'completed' : ''} ${Routine.isOptional(item) ? 'optional' : ''} ${isLocked ? 'locked' : ''}"
+           data-item-id="${item.id}" data-locked="${isLocked}">
         <div class="d-flex align-items-start">
           <input type="checkbox"
                  class="form-check-input me-3"
                  id="item-${routineId}-${item.id}"
                  ${isCompleted ? 'checked' : ''}
+                 ${isLocked ? 'disabled' : ''}
                  onchange="app.toggleItem('${routineId}', '${item.id}', this)">
           <label class="form-check-label" for="item-${routineId}-${item.id}">
             <div>
-              <strong>${item.description}</strong>
+              <strong>${escapeHtml(item.description)}</strong>
               ${item.duration ? `<span class="text-muted ms-2">(${item.duration} min)</span>` : ''}
+              ${this.renderItemBadges(item)}
             </div>
             ${item.skillRewards ? `
               <div class="rewards mt-2">
@@ -199,13 +399,122 @@ export class UIRenderer {
                 `).join('')}
               </div>
             ` : ''}
-            ${item.notes ? `<div class="notes">${item.notes}</div>` : ''}
+            ${item.notes ? `<div class="notes">${escapeHtml(item.notes)}</div>` : ''}
+            ${this.renderLockHint(blockers)}
           </label>
         </div>
       </div>
     `;
   }
 
+  /**
+   * Render quantitative item with a stepper for the logged amount
+   */
+  renderQuantityItem(item, routineId, session, blockers = []) {
+    const isCompleted = session.isItemCompleted(item.id);
+    const isLocked = blockers.length > 0;
+    const amount = session.getItemAmount(item.id);
+    const step = item.step || 1;
+    const percentage = Math.min(100, Math.floor((amount / item.target) * 100));
+
+    return `
+      <div class="routine-item quantity-item ${isCompleted ? 'completed' : ''} ${Routine.isOptional(item) ? 'optional' : ''} ${isLocked ? 'locked' : ''}"
+           data-item-id="${item.id}" data-locked="${isLocked}">
+        <div class="d-flex align-items-start">
+          <div class="quantity-stepper input-group input-group-sm me-3">
+            <button type="button" class="btn btn-outline-light" ${amount <= 0 ? 'disabled' : ''}
+                    onclick="app.stepItemAmount('${routineId}', '${item.id}', ${-step}, this)">−</button>
+            <input type="number"
+                   class="form-control text-center"
+                   id="item-${routineId}-${item.id}"
+                   min="0"
+                   step="${step}"
+                   value="${amount}"
+                   ${isLocked ? 'disabled' : ''}
+                   onchange="app.logItemAmount('${routineId}', '${item.id}', this.value, this)">
+            <button type="button" class="btn btn-outline-light" ${isLocked ? 'disabled' : ''}
+                    onclick="app.stepItemAmount('${routineId}', '${item.id}', ${step}, this)">+</button>
+          </div>
+          <div class="flex-grow-1">
+            <div>
+              <strong>${escapeHtml(item.description)}</strong>
+              ${item.duration ? `<span class="text-muted ms-2">(${item.duration} min)</span>` : ''}
+              ${this.renderItemBadges(item)}
+            </div>
+            <div class="quantity-progress mt-1">
+              <small class="${isCompleted ? 'text-success' : 'text-muted'}">
+                ${amount} / ${item.target} ${escapeHtml(item.unit)}
+              </small>
+              <div class="progress mt-1" style="height: 0.4rem;">
+                <div class="progress-bar" style="width: ${percentage}%"></div>
+              </div>
+            </div>
+            ${item.skillRewards ? `
+              <div class="rewards mt-2">
+                ${Object.entries(item.skillRewards).map(([skill, xp]) => `
+                  <span class="badge bg-secondary">+${xp} ${skill} XP</span>
+                `).join('')}
+                ${item.overachieveBonus ? `
+                  <span class="badge bg-info">up to +${Math.round(item.overachieveBonus * 100)}% over target</span>
+                ` : ''}
+              </div>
+            ` : ''}
+            ${item.notes ? `<div class="notes">${escapeHtml(item.notes)}</div>` : ''}
+            ${this.renderLockHint(blockers)}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render optional and condition badges next to an item's description
+   */
+  renderItemBadges(item) {
+    return `
+      ${Routine.isOptional(item) ? '<span class="badge bg-warning text-dark ms-2">⭐ Optional</span>' : ''}
+      ${item.when ? `<span class="badge bg-info ms-2">${Condition.describe(item.when)}</span>` : ''}
+    `;
+  }
+
+  /**
+   * Render what a locked item is waiting for
+   */
+  renderLockHint(blockers = []) {
+    if (blockers.length === 0) return '';
+    return `<div class="lock-hint small text-muted mt-1">🔒 Unlocks after ${escapeHtml(Routine.describeBlockers(blockers))}</div>`;
+  }
+
+  /**
+   * Re-render a single item in place
+   */
+  updateRoutineItem(routine, item, session) {
+    const routineCard = document.getElementById(`routine-${routine.id}`);
+    const itemElement = routineCard?.querySelector(`.routine-item[data-item-id="${item.id}"]`);
+    if (!itemElement) return;
+
+    const blockers = session.isItemCompleted(item.id)
+      ? []
+      : routine.getBlockers(item.id, id => session.isItemCompleted(id));
+    itemElement.outerHTML = this.renderRoutineItem(item, routine.id, session, blockers);
+  }
+
+  /**
+   * Re-render items whose locked state changed after progress on another item
+   */
+  updateItemLocks(routine, session) {
+    const routineCard = document.getElementById(`routine-${routine.id}`);
+    if (!routineCard) return;
+
+    const locks = this.getItemLocks(routine, session);
+    for (const item of routine.getAllItems()) {
+      const itemElement = routineCard.querySelector(`.routine-item[data-item-id="${item.id}"]`);
+      if (itemElement && itemElement.dataset.locked !== String(Boolean(locks[item.id]))) {
+        this.updateRoutineItem(routine, item, session);
+      }
+    }
+  }
+
   /**
    * Render routine progress footer
    */
@@ -223,19 +532,183 @@ export class UIRenderer {
           </div>
         </div>
         <p class="text-center mt-2 text-muted">
-          ${progress.completed} / ${progress.total} tasks completed
+          ${this.formatProgressText(progress)}
         </p>
         ${session.status === 'completed' ? `
           <div class="text-center mt-3">
             <span class="badge bg-success p-3" style="font-size: 1.2rem;">
-              🎉 Routine Completed! +${Object.values(session.xpEarned).reduce((a, b) => a + b, 0)} Total XP
+              🎉 Routine Completed! +${sumXP(session.xpEarned) + sumXP(session.completionBonus?.xpEarned)} Total XP
             </span>
+            ${this.renderCompletionBreakdown(session)}
           </div>
         ` : ''}
       </div>
     `;
   }
 
+  /**
+   * Base XP from tasks and the completion bonus with its on-time multiplier
+   */
+  renderCompletionBreakdown(session) {
+    const bonus = session.completionBonus;
+    const bonusXP = sumXP(bonus?.xpEarned);
+    const optionalXP = sumXP(session.bonusXpEarned);
+
+    return `
+      <div class="completion-breakdown small text-muted mt-2">
+        <span>Tasks +${sumXP(session.xpEarned)} XP${optionalXP > 0 ? ` (incl. ⭐ ${optionalXP} bonus)` : ''}</span>
+        ${bonusXP > 0 ? `
+          <span>· Completion bonus +${bonusXP} XP
+            ${bonus.label ? `(${bonus.label} ×${bonus.multiplier})` : ''}
+          </span>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Progress summary: required tasks, plus optional items when the routine has any
+   */
+  formatProgressText(progress) {
+    const text = `${progress.completed} / ${progress.total} tasks completed`;
+    if (!progress.optional || progress.optional.total === 0) return text;
+    return `${text} · ⭐ ${progress.optional.completed} / ${progress.optional.total} bonus`;
+  }
+
+  /**
+   * Render guided play mode for the current item
+   */
+  renderPlayMode(state) {
+    const container = this.containers.playMode;
+    if (!container) return;
+
+    container.classList.remove('d-none');
+
+    if (state.finished) {
+      container.innerHTML = `
+        <div class="play-mode-card card text-center">
+          <div class="card-body">
+            <div class="display-4 mb-3">${escapeHtml(state.routine.icon)}</div>
+            <h3>${escapeHtml(state.routine.name)}</h3>
+            <p class="lead">All steps done!</p>
+            <p class="text-muted">
+              ${state.completed.length} completed${state.skipped.length > 0 ? ` · ${state.skipped.length} skipped` : ''}
+            </p>
+            <button class="btn btn-primary" onclick="app.stopPlayMode()">Close</button>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="play-mode-card card text-center">
+        <div class="card-header d-flex justify-content-between align-items-center">
+          <span>${escapeHtml(state.routine.icon)} ${escapeHtml(state.section.name)}
+            ${state.section.timeRange ? `<small class="text-muted ms-2">(${escapeHtml(state.section.timeRange)})</small>` : ''}
+          </span>
+          <small class="text-muted">Step ${state.stepNumber} / ${state.stepCount}</small>
+        </div>
+        <div class="card-body">
+          <h3 class="mb-3">${escapeHtml(state.item.description)}</h3>
+          ${Routine.isOptional(state.item) ? '<span class="badge bg-warning text-dark mb-3">⭐ Optional · bonus XP</span>' : ''}
+          ${state.item.notes ? `<p class="notes text-muted fst-italic">${escapeHtml(state.item.notes)}</p>` : ''}
+          ${this.renderLockHint(state.blockers)}
+
+          <div class="play-mode-timer my-4" id="play-mode-timer">${this.formatCountdown(state)}</div>
+          <div class="progress mb-4" style="height: 0.75rem;">
+            <div class="progress-bar" id="play-mode-progress" role="progressbar"
+                 style="width: ${this.getCountdownPercentage(state)}%"></div>
+          </div>
+
+          ${state.item.skillRewards ? `
+            <div class="rewards mb-4">
+              ${Object.entries(state.item.skillRewards).map(([skill, xp]) => `
+                <span class="badge bg-secondary">+${xp} ${skill} XP</span>
+              `).join('')}
+            </div>
+          ` : ''}
+
+          <div class="d-flex justify-content-center flex-wrap gap-2">
+            ${state.isTimed ? `
+              <button class="btn btn-outline-light" id="play-mode-pause" onclick="app.playModeManager.togglePause()">
+                ${state.paused ? '▶ Resume' : '⏸ Pause'}
+              </button>
+            ` : ''}
+            <button class="btn btn-outline-light" onclick="app.playModeManager.extend(60)">+1 min</button>
+            <button class="btn btn-outline-light" onclick="app.playModeManager.skip()">⏭ Skip</button>
+            <button class="btn btn-primary" onclick="app.playModeManager.completeCurrent()">✓ Done</button>
+          </div>
+
+          ${state.nextItem ? `<p class="text-muted small mt-4 mb-0">Next: ${escapeHtml(state.nextItem.description)}</p>` : ''}
+        </div>
+        <div class="card-footer">
+          <button class="btn btn-sm btn-outline-danger" onclick="app.stopPlayMode()">Exit play mode</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Update play mode countdown without re-rendering the whole card
+   */
+  updatePlayModeTimer(state) {
+    const timer = document.getElementById('play-mode-timer');
+    const progressBar = document.getElementById('play-mode-progress');
+    const pauseButton = document.getElementById('play-mode-pause');
+
+    if (timer) {
+      timer.textContent = this.formatCountdown(state);
+      timer.classList.toggle('paused', state.paused);
+    }
+    if (progressBar) {
+      progressBar.style.width = `${this.getCountdownPercentage(state)}%`;
+    }
+    if (pauseButton) {
+      pauseButton.textContent = state.paused ? '▶ Resume' : '⏸ Pause';
+    }
+  }
+
+  /**
+   * Hide play mode overlay
+   */
+  hidePlayMode() {
+    if (!this.containers.playMode) return;
+    this.containers.playMode.classList.add('d-none');
+    this.containers.playMode.innerHTML = '';
+  }
+
+  /**
+   * Format remaining time as m:ss (untimed items show a dash)
+   */
+  formatCountdown(state) {
+    if (!state.isTimed) return '—';
+    const minutes = Math.floor(state.remainingSeconds / 60);
+    const seconds = state.remainingSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  /**
+   * Elapsed share of the current item's countdown
+   */
+  getCountdownPercentage(state) {
+    if (!state.isTimed || state.totalSeconds === 0) return 0;
+    return Math.min(100, Math.floor(((state.totalSeconds - state.remainingSeconds) / state.totalSeconds) * 100));
+  }
+
+  /**
+   * Mark an item's checkbox as completed without re-rendering the routine
+   */
+  markItemCompleted(routineId, itemId) {
+    const checkbox = document.getElementById(`item-${routineId}-${itemId}`);
+    if (!checkbox) return;
+
+    if (checkbox.type === 'checkbox') {
+      checkbox.checked = true;
+    }
+    checkbox.closest('.routine-item')?.classList.add('completed');
+  }
+
   /**
    * Update skill bar animation
    */
@@ -244,8 +717,8 @@ export class UIRenderer {
     if (!skillBar) return;
 
     const progressBar = skillBar.querySelector('.progress-bar');
-    const levelText = skillBar.querySelector('small:last-child');
-    const xpText = skillBar.querySelector('small:last-child');
+    const levelText = skillBar.querySelector('.d-flex small');
+    const xpText = skillBar.querySelector(':scope > small');
 
     // Animate progress bar
     const newProgress = skill.getProgressPercentage();
@@ -273,7 +746,14 @@ export class UIRenderer {
     }
 
     if (progressText) {
-      progressText.textContent = `${progress.completed} / ${progress.total} tasks completed`;
+      progressText.textContent = this.formatProgressText(progress);
     }
   }
 }
+
+/**
+ * Total XP across skills, rounded for display
+ */
+function sumXP(xpBySkill = {}) {
+  return Math.round(Object.values(xpBySkill).reduce((a, b) => a + b, 0));
+}
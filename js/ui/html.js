@@ -0,0 +1,18 @@
+/**
+ * HTML helpers shared by the UI modules
+ * Routine text comes from users (editor, imports, sync), so it is escaped
+ * wherever it is put into markup
+ */
+
+/**
+ * Escape text for use inside HTML attributes and content
+ */
+export function escapeHtml(value) {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}